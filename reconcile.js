@@ -0,0 +1,599 @@
+/**
+ * Kunstpakket Analytics Purchase Reconciliation
+ *
+ * Server-side aanvulling op widget.js: koppelt order webhooks van de shop aan de events die de
+ * widget verstuurd heeft. Een purchase die client-side ontbrak (geen order_total gevonden,
+ * ad blocker, thank you pagina niet geladen) wordt alsnog aangemaakt; een purchase met een
+ * afwijkend bedrag wordt gecorrigeerd. Uitgaande events hebben hetzelfde schema als trackEvent().
+ *
+ * Gebruik (dry run, print het resultaat):
+ *   node reconcile.js fixtures/lightspeed-order.json --events fixtures/events.json --format lightspeed
+ *
+ * Versturen naar de API:
+ *   node reconcile.js order.json --events events.json --send https://analytics.bluestars.app/api/track
+ *
+ * Geen dependencies; Node 18+ (global fetch). Attributie en commissie komen uit widget.js (zelfde map).
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EVENT_SCHEMA_VERSION = 1;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WIDGET_PATH = path.join(__dirname, 'widget.js');
+
+/**
+ * Laad het gedeelde blok van widget.js (tussen `// @shared-begin` en `// @shared-end`):
+ * DEFAULT_CONFIG en de attributie / commissie functies. Zo rekent de reconciliation met
+ * exact dezelfde code als de widget in de browser, zonder een kopie die uit de pas kan lopen.
+ */
+function loadWidgetShared() {
+  const source = fs.readFileSync(WIDGET_PATH, 'utf8');
+  const begin = source.search(/^ *\/\/ @shared-begin$/m);
+  const end = source.search(/^ *\/\/ @shared-end$/m);
+  if (begin === -1 || end < begin) {
+    throw new Error(`No @shared-begin / @shared-end block in ${WIDGET_PATH}`);
+  }
+
+  const exported = ['DEFAULT_CONFIG', 'getAttributedViews', 'isAttributedProductPurchased', 'getDaysSinceView', 'computeCommission'];
+  const factory = vm.runInThisContext(
+    `(function () {\n'use strict';\n${source.slice(begin, end)}\nreturn { ${exported.join(', ')} };\n})`,
+    { filename: WIDGET_PATH, lineOffset: source.slice(0, begin).split('\n').length - 3 }
+  );
+  return factory();
+}
+
+const {
+  DEFAULT_CONFIG: WIDGET_DEFAULTS,
+  getAttributedViews,
+  isAttributedProductPurchased,
+  getDaysSinceView,
+  computeCommission
+} = loadWidgetShared();
+
+/**
+ * Default opties
+ *
+ * clientId, apiUrl, attribution en commission komen uit de DEFAULT_CONFIG van widget.js.
+ * Wijkt de embed config van een shop daarvan af, geef dan dezelfde waardes mee (--config),
+ * anders krijgt een herstelde purchase een andere revenue dan een client-side purchase.
+ */
+const DEFAULT_OPTIONS = {
+  clientId: WIDGET_DEFAULTS.clientId,
+  apiUrl: WIDGET_DEFAULTS.apiUrl,
+  format: 'generic',
+  visitorId: null,         // Visitor ID als de webhook hem niet zelf bevat (cookie kp_vid)
+  tolerance: 0.01,         // Maximaal verschil in order_total dat nog als 'matched' telt
+  matchWindowHours: 24,    // Client purchase zonder order_id: zelfde visitor binnen dit aantal uur
+  attribution: {
+    model: WIDGET_DEFAULTS.attribution.model,
+    windowDays: WIDGET_DEFAULTS.attribution.windowDays
+  },
+  commission: {
+    rules: WIDGET_DEFAULTS.commission.rules
+  }
+};
+
+/**
+ * Zet een bedrag (number of string, ook '1.234,56') om naar een float, of null
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+  if (/,\d{1,2}$/.test(text)) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Rond af op centen
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Normaliseer een order ID zoals de widget (trim, zonder leading '#')
+ */
+function normalizeOrderId(value) {
+  if (value === null || value === undefined) return null;
+
+  const orderId = String(value).trim().replace(/^#/, '');
+  if (!/^[A-Za-z0-9][A-Za-z0-9\-_.\/]{0,63}$/.test(orderId)) return null;
+  if (/^(success|succes|ok|true|false|completed|bedankt|thankyou|0|1)$/i.test(orderId)) return null;
+
+  return orderId;
+}
+
+/**
+ * Order ID's vergelijken (hoofdletterongevoelig)
+ */
+function sameOrderId(a, b) {
+  const left = normalizeOrderId(a);
+  const right = normalizeOrderId(b);
+  return left !== null && right !== null && left.toLowerCase() === right.toLowerCase();
+}
+
+/**
+ * Zet een timestamp (ms, seconden of ISO string) om naar ms, of null
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Tijdstip van een opgeslagen event
+ * De widget stuurt zelf geen timestamp mee; de API moet `received_at` opslaan.
+ */
+function getEventTime(event) {
+  return toTimestamp(event.received_at ?? event.timestamp ?? event.created_at);
+}
+
+/**
+ * Normaliseer een order regel naar { id, title, quantity, unit_price, category }
+ */
+function normalizeLineItem(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const id = item.id ?? item.product_id ?? item.item_id ?? item.sku ?? null;
+  const title = item.title ?? item.name ?? item.item_name ?? null;
+  if (id === null && title === null) return null;
+
+  const quantity = toAmount(item.quantity ?? item.qty ?? 1);
+  return {
+    id: id !== null ? String(id) : null,
+    title: title,
+    quantity: quantity && quantity > 0 ? quantity : 1,
+    unit_price: toAmount(item.unit_price ?? item.price ?? item.unitPrice),
+    category: item.category ?? item.item_category ?? null
+  };
+}
+
+/**
+ * Order adapters per webhook formaat
+ *
+ * Elke adapter zet de webhook body om naar een genormaliseerde order:
+ * { order_id, total, currency, shipping, tax, discount, items, created_at, visitor_id }
+ */
+const ORDER_ADAPTERS = {
+  /**
+   * Generiek JSON formaat (eigen backend of middleware)
+   * { order_id, total, currency, shipping, tax, discount, items: [...], created_at, visitor_id }
+   */
+  generic: (body) => {
+    const order = body.order && typeof body.order === 'object' ? body.order : body;
+    const metadata = order.metadata || {};
+
+    return {
+      order_id: order.order_id ?? order.orderId ?? order.number ?? order.id,
+      total: order.total ?? order.order_total,
+      currency: order.currency,
+      shipping: order.shipping,
+      tax: order.tax,
+      discount: order.discount,
+      items: order.items,
+      created_at: order.created_at ?? order.createdAt,
+      visitor_id: order.visitor_id ?? metadata.kp_visitor_id ?? body.kp_visitor_id
+    };
+  },
+
+  /**
+   * Lightspeed eCom order webhook ({ order: { number, priceIncl, products: { resource: { embed } } } })
+   * Lightspeed kent geen visitor ID; geef die mee als `kp_visitor_id` in de body of via options.visitorId.
+   */
+  lightspeed: (body) => {
+    const order = body.order || {};
+    const products = order.products && order.products.resource ? order.products.resource.embed : order.products;
+    const priceIncl = toAmount(order.priceIncl);
+    const priceExcl = toAmount(order.priceExcl);
+
+    return {
+      order_id: order.number ?? order.id,
+      total: priceIncl,
+      currency: typeof order.currency === 'object' && order.currency ? order.currency.code : order.currency,
+      shipping: order.shipmentPriceIncl ?? order.shipmentBasePriceIncl,
+      tax: priceIncl !== null && priceExcl !== null ? round(priceIncl - priceExcl) : null,
+      discount: order.discountAmount,
+      items: (Array.isArray(products) ? products : []).map(product => ({
+        id: product.productId ?? product.product_id ?? product.id,
+        title: product.productTitle ?? product.title,
+        quantity: product.quantityOrdered ?? product.quantity,
+        unit_price: product.basePriceIncl ?? (toAmount(product.priceIncl) !== null
+          ? toAmount(product.priceIncl) / (toAmount(product.quantityOrdered) || 1)
+          : null),
+        category: product.categoryTitle ?? null
+      })),
+      created_at: order.createdAt,
+      visitor_id: body.kp_visitor_id
+    };
+  }
+};
+
+/**
+ * Zet een webhook body om naar een genormaliseerde order
+ *
+ * @param {Object} body - Webhook body (JSON)
+ * @param {Object} options - { format: 'generic' | 'lightspeed', visitorId }
+ * @returns {Object} Order, of { error } als de webhook onbruikbaar is
+ */
+function parseWebhook(body, options = {}) {
+  const format = options.format || DEFAULT_OPTIONS.format;
+  const adapter = ORDER_ADAPTERS[format];
+  if (!adapter) {
+    return { error: `Unknown webhook format: ${format}` };
+  }
+  if (!body || typeof body !== 'object') {
+    return { error: 'Webhook body is not an object' };
+  }
+
+  const raw = adapter(body);
+  const order = {
+    order_id: normalizeOrderId(raw.order_id),
+    total: toAmount(raw.total),
+    currency: raw.currency ? String(raw.currency).toUpperCase() : 'EUR',
+    shipping: toAmount(raw.shipping),
+    tax: toAmount(raw.tax),
+    discount: toAmount(raw.discount),
+    items: (Array.isArray(raw.items) ? raw.items : []).map(normalizeLineItem).filter(Boolean),
+    created_at: toTimestamp(raw.created_at) || Date.now(),
+    visitor_id: options.visitorId || raw.visitor_id || null,
+    source: `webhook:${format}`
+  };
+
+  if (!order.order_id) {
+    return { error: 'Order ID not found in webhook', order: order };
+  }
+  if (order.total === null || order.total < 0) {
+    return { error: 'Order total not found in webhook', order: order };
+  }
+  return order;
+}
+
+/**
+ * Deterministisch event ID (UUID formaat), zodat een herhaalde webhook hetzelfde event oplevert
+ * en de API hem dedupliceert op event_id
+ */
+function deriveEventId(...parts) {
+  const hex = crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), `5${hex.slice(13, 16)}`, `8${hex.slice(17, 20)}`, hex.slice(20, 32)].join('-');
+}
+
+/**
+ * Zet een view event om naar een attributed_views entry (zelfde velden als de journal van de widget)
+ */
+function toAttributedView(event) {
+  const campaign = event.campaign || {};
+
+  return {
+    view_id: event.event_id || null,
+    product_id: event.product_id ?? null,
+    product_url: event.product_url ?? null,
+    product_title: event.product_title ?? null,
+    product_price: event.product_price ?? null,
+    currency: event.currency || null,
+    extraction_sources: event.extraction_sources || null,
+    campaign: campaign.last_touch || null,
+    viewed_at: getEventTime(event)
+  };
+}
+
+/**
+ * Commissie voor een order met de gegeven attributed views
+ */
+function commissionFor(order, attributedViews, attributedProductPurchased, options) {
+  return computeCommission(options.commission.rules, {
+    order_total: order.total,
+    items: order.items,
+    attributed_views: attributedViews,
+    attributed_product_purchased: attributedProductPurchased,
+    days_since_view: getDaysSinceView(attributedViews, order.created_at)
+  });
+}
+
+/**
+ * Zoek de client-side purchase die bij de order hoort
+ * Eerst op order_id; anders een purchase zonder order_id van dezelfde visitor rond het order moment.
+ * Bij meerdere (bijv. een eerdere correctie) telt de laatste.
+ */
+function findPurchase(order, events, options) {
+  const purchases = events.filter(event => event.event === 'purchase');
+
+  const byOrderId = purchases.filter(event => sameOrderId(event.order_id, order.order_id));
+  if (byOrderId.length > 0) {
+    return { event: byOrderId[byOrderId.length - 1], matched_by: 'order_id' };
+  }
+
+  if (!order.visitor_id) return null;
+
+  const windowMs = options.matchWindowHours * 60 * 60 * 1000;
+  const byVisitor = purchases.filter(event => {
+    const time = getEventTime(event);
+    return !event.order_id && event.visitor_id === order.visitor_id &&
+      time !== null && Math.abs(time - order.created_at) <= windowMs;
+  });
+  if (byVisitor.length > 0) {
+    return { event: byVisitor[byVisitor.length - 1], matched_by: 'visitor_id' };
+  }
+  return null;
+}
+
+/**
+ * Verschillen tussen de client-side purchase en de gecorrigeerde purchase ({ veld: { from, to } })
+ * Alleen velden die de rapportage of de commissie raken; ontbrekende order regels alleen niet.
+ */
+function diffPurchase(purchase, corrected, tolerance) {
+  const changes = {};
+
+  if (!purchase.order_id) {
+    changes.order_id = { from: null, to: corrected.order_id };
+  }
+  if (typeof purchase.order_total !== 'number' || Math.abs(purchase.order_total - corrected.order_total) > tolerance) {
+    changes.order_total = { from: purchase.order_total ?? null, to: corrected.order_total };
+  }
+  if (purchase.currency && purchase.currency !== corrected.currency) {
+    changes.currency = { from: purchase.currency, to: corrected.currency };
+  }
+  if (purchase.revenue !== corrected.revenue) {
+    changes.revenue = { from: purchase.revenue ?? null, to: corrected.revenue };
+  }
+  return changes;
+}
+
+/**
+ * Purchase payload op basis van de order (zelfde velden als trackPurchase() in de widget)
+ */
+function buildPurchase(order, base, attributedViews, options) {
+  const attributedProductPurchased = isAttributedProductPurchased(order.items, attributedViews);
+  const commission = commissionFor(order, attributedViews, attributedProductPurchased, options);
+  const primary = attributedViews[attributedViews.length - 1] || {};
+
+  return {
+    client_id: base.client_id || options.clientId,
+    event_id: null,
+    schema_version: EVENT_SCHEMA_VERSION,
+    visitor_id: base.visitor_id || order.visitor_id,
+    session_id: base.session_id || null,
+    event: 'purchase',
+    order_id: order.order_id,
+    product_id: base.product_id ?? primary.product_id ?? null,
+    product_url: base.product_url ?? primary.product_url ?? null,
+    product_title: base.product_title ?? primary.product_title ?? null,
+    order_total: order.total,
+    revenue: commission.revenue,
+    commission_rule_id: commission.rule_id,
+    commission_base: commission.base,
+    currency: order.currency,
+    shipping: order.shipping,
+    tax: order.tax,
+    discount: order.discount,
+    items: order.items.length > 0 ? order.items : base.items || [],
+    order_source: order.source,
+    attributed_product_purchased: attributedProductPurchased,
+    attribution_model: base.attribution_model || options.attribution.model,
+    attributed_views: attributedViews,
+    extraction_sources: {
+      ...(base.extraction_sources || {}),
+      order_id: order.source,
+      order_total: order.source
+    },
+    campaign: base.campaign || { first_touch: null, last_touch: null },
+    variants: base.variants || {}
+  };
+}
+
+/**
+ * Reconcile een order met de opgeslagen events van de widget
+ *
+ * Status:
+ * - 'matched'      → client-side purchase klopt, niets te doen
+ * - 'corrected'    → client-side purchase wijkt af; event bevat de gecorrigeerde purchase
+ * - 'recovered'    → geen client-side purchase, wel AI-referred views van de visitor; event is de purchase
+ * - 'unattributed' → geen purchase en geen views binnen attribution.windowDays (geen AI verkeer)
+ * - 'invalid'      → webhook onbruikbaar (zie error)
+ *
+ * @param {Object} order - Order uit parseWebhook()
+ * @param {Array} events - Opgeslagen event payloads (met received_at)
+ * @param {Object} options - Zie DEFAULT_OPTIONS
+ * @returns {Object} { status, order_id, event, changes?, error? }
+ */
+function reconcile(order, events, options = {}) {
+  const settings = resolveOptions(options);
+
+  if (!order || order.error) {
+    return { status: 'invalid', order_id: order && order.order ? order.order.order_id : null, event: null, error: order ? order.error : 'No order' };
+  }
+
+  const match = findPurchase(order, events, settings);
+  if (match) {
+    const purchase = match.event;
+
+    // Zelfde views en campagne als de client-side purchase, bedragen uit de order
+    const event = buildPurchase(order, purchase, purchase.attributed_views || [], settings);
+    const changes = diffPurchase(purchase, event, settings.tolerance);
+    if (Object.keys(changes).length === 0) {
+      return { status: 'matched', order_id: order.order_id, event: null };
+    }
+
+    event.event_id = deriveEventId(event.client_id, order.order_id, 'corrected', order.total);
+    event.reconciliation = {
+      status: 'corrected',
+      matched_by: match.matched_by,
+      corrects_event_id: purchase.event_id || null,
+      changes: changes
+    };
+    return { status: 'corrected', order_id: order.order_id, event: event, changes: changes };
+  }
+
+  if (!order.visitor_id) {
+    return { status: 'unattributed', order_id: order.order_id, event: null, error: 'No visitor_id for order' };
+  }
+
+  // AI-referred views van deze visitor binnen het attribution window vóór de order
+  const windowStart = order.created_at - settings.attribution.windowDays * DAY_MS;
+  const views = events
+    .filter(event => event.event === 'view' && event.visitor_id === order.visitor_id)
+    .filter(event => {
+      const time = getEventTime(event);
+      return time !== null && time >= windowStart && time <= order.created_at;
+    })
+    .sort((a, b) => getEventTime(a) - getEventTime(b));
+
+  if (views.length === 0) {
+    return { status: 'unattributed', order_id: order.order_id, event: null };
+  }
+
+  const attributedViews = getAttributedViews(views, settings.attribution.model).map(toAttributedView);
+  const primary = attributedViews[attributedViews.length - 1];
+  const last = views[views.length - 1];
+  const extractionSources = {};
+  ['product_id', 'product_title'].forEach(field => {
+    extractionSources[field] = primary[field] ? `view:${(primary.extraction_sources || {})[field] || 'unknown'}` : null;
+  });
+  const event = buildPurchase(order, {
+    client_id: last.client_id,
+    visitor_id: order.visitor_id,
+    session_id: last.session_id,
+    campaign: last.campaign,
+    variants: last.variants,
+    extraction_sources: extractionSources
+  }, attributedViews, settings);
+  event.event_id = deriveEventId(event.client_id, order.order_id, 'recovered', order.total);
+  event.reconciliation = {
+    status: 'recovered',
+    matched_by: 'visitor_id',
+    corrects_event_id: null,
+    changes: null
+  };
+  return { status: 'recovered', order_id: order.order_id, event: event };
+}
+
+/**
+ * Voeg opties samen met DEFAULT_OPTIONS (attribution en commission per key)
+ */
+function resolveOptions(options) {
+  return {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    attribution: { ...DEFAULT_OPTIONS.attribution, ...(options.attribution || {}) },
+    commission: { ...DEFAULT_OPTIONS.commission, ...(options.commission || {}) }
+  };
+}
+
+/**
+ * Verstuur events naar de API als batch ({ client_id, events })
+ *
+ * @param {Array} events - Purchase payloads uit reconcile()
+ * @param {Object} options - { apiUrl, clientId }
+ * @returns {Promise<boolean>} true als de API de batch geaccepteerd heeft
+ */
+async function send(events, options = {}) {
+  const settings = resolveOptions(options);
+  if (events.length === 0) return true;
+
+  const response = await fetch(settings.apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ client_id: events[0].client_id || settings.clientId, events: events })
+  });
+  if (!response.ok) {
+    console.error('[KP Analytics] ❌ Reconciliation send failed:', response.status);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Lees argumenten: <webhook.json> --events <events.json> [--format lightspeed] [--visitor id]
+ * [--config config.json] [--send url]
+ */
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      args[arg.slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Lees een JSON bestand
+ */
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * CLI
+ * Een webhook bestand mag een enkele order of een array van orders bevatten.
+ * Het events bestand is een array van payloads of een export met { events: [...] }.
+ */
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (args.files.length === 0 || !args.events) {
+    console.error('Usage: node reconcile.js <webhook.json> --events <events.json> [--format generic|lightspeed] [--visitor <id>] [--config <config.json>] [--send <url>]');
+    return 1;
+  }
+
+  const options = {
+    ...(args.config ? readJson(args.config) : {}),
+    ...(args.format ? { format: args.format } : {}),
+    ...(args.visitor ? { visitorId: args.visitor } : {})
+  };
+  const log = readJson(args.events);
+  const events = Array.isArray(log) ? log : log.events || [];
+
+  const results = [];
+  args.files.forEach(file => {
+    const body = readJson(file);
+    (Array.isArray(body) ? body : [body]).forEach(webhook => {
+      const result = reconcile(parseWebhook(webhook, options), events, options);
+      // Volgende orders zien de events van eerdere orders (herhaalde webhooks)
+      if (result.event) events.push({ ...result.event, received_at: Date.now() });
+      results.push(result);
+    });
+  });
+
+  console.log(JSON.stringify(results, null, 2));
+
+  if (args.send) {
+    const ok = await send(results.map(result => result.event).filter(Boolean), { ...options, apiUrl: args.send });
+    return ok ? 0 : 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  ORDER_ADAPTERS,
+  parseWebhook,
+  reconcile,
+  computeCommission,
+  send
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, err => {
+    console.error('[KP Analytics] ❌ Reconciliation failed:', err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * reconcile.js gebruikt de attributie en commissie functies uit widget.js, maar bouwt de context
+ * (order regels, views, days_since_view) zelf op uit webhook en events. Deze tests laten dezelfde
+ * order door beide lopen en falen als de uitkomsten uit elkaar gaan.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget, sentEvents } = require('./load-widget');
+const { DEFAULT_OPTIONS, parseWebhook, reconcile } = require('../reconcile');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const VIEWS = [
+  { product_id: '100', product_title: 'Bronzen uil', product_price: 45, days_ago: 5 },
+  { product_id: '200', product_title: 'Glazen vaas', product_price: 129, days_ago: 2 },
+  { product_id: '300', product_title: 'Schilderij Zee', product_price: 249, days_ago: 0.5 }
+];
+
+const ORDER = {
+  order_id: 'KP-2001',
+  total: 318.95,
+  currency: 'EUR',
+  items: [
+    { id: '100', title: 'Bronzen uil', quantity: 2, unit_price: 45, category: 'Beelden' },
+    { id: '400', title: 'Kunstkaart set', quantity: 1, unit_price: 29.95, category: 'Kaarten' },
+    { id: '300', title: 'Schilderij Zee', quantity: 1, unit_price: 199, category: 'Schilderijen' }
+  ]
+};
+
+const SCENARIOS = [
+  { name: 'default', config: {} },
+  { name: 'percentage over attributed_items (first_touch)', config: {
+    attribution: { model: 'first_touch' },
+    commission: { rules: [{ id: 'pct', type: 'percentage', percentage: 10, base: 'attributed_items' }] }
+  } },
+  { name: 'tiered met min / max (all_touched)', config: {
+    attribution: { model: 'all_touched' },
+    commission: { rules: [{ id: 'tiers', type: 'tiered', tiers: [{ min: 0, amount: 5 }, { min: 250, percentage: 6 }], min: 7, max: 15 }] }
+  } },
+  { name: 'categorie rule met max_days_since_view (last_touch)', config: {
+    commission: { rules: [
+      { id: 'cat', type: 'percentage', percentage: 12, base: 'items', when: { categories: ['Schilderijen'], max_days_since_view: 1 } },
+      { id: 'fallback', type: 'flat', amount: 10 }
+    ] }
+  } },
+  { name: 'max_days_since_view met first_touch valt terug', config: {
+    attribution: { model: 'first_touch' },
+    commission: { rules: [
+      { id: 'recent', type: 'flat', amount: 20, when: { max_days_since_view: 3 } },
+      { id: 'fallback', type: 'flat', amount: 10 }
+    ] }
+  } },
+  { name: 'product_ids en attributed_product_purchased', config: {
+    commission: { rules: [
+      { id: 'not-bought', type: 'flat', amount: 3, when: { attributed_product_purchased: false } },
+      { id: 'hero', type: 'percentage', percentage: 5, when: { product_ids: ['300'], min_order_total: 300 } }
+    ] }
+  } }
+];
+
+/**
+ * Purchase van de widget: journal met de views, daarna een thank you pagina met de order in de dataLayer
+ */
+async function widgetPurchase(config, now) {
+  const journal = VIEWS.map((view, i) => ({
+    view_id: `view-${i}`,
+    product_id: view.product_id,
+    product_url: `https://www.kunstpakket.nl/p${view.product_id}.html`,
+    product_title: view.product_title,
+    product_price: view.product_price,
+    currency: 'EUR',
+    extraction_sources: null,
+    campaign: null,
+    viewed_at: now - view.days_ago * DAY_MS
+  }));
+
+  const window = loadWidget('https://www.kunstpakket.nl/checkout/thankyou?f=1', {
+    config: config,
+    before: (w) => {
+      w.localStorage.setItem('kp_consent', 'granted');
+      w.localStorage.setItem('kp_attribution_journal', JSON.stringify(journal));
+      w.dataLayer = [{
+        event: 'purchase',
+        ecommerce: {
+          transaction_id: ORDER.order_id,
+          value: ORDER.total,
+          currency: ORDER.currency,
+          items: ORDER.items.map(item => ({
+            item_id: item.id, item_name: item.title, quantity: item.quantity, price: item.unit_price, item_category: item.category
+          }))
+        }
+      }];
+    }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const purchase = sentEvents(window).find(event => event.event === 'purchase');
+  window.KunstpakketAnalytics.destroy();
+  return purchase;
+}
+
+/**
+ * Dezelfde order via reconcile.js (recovered uit de view events)
+ */
+function reconciledPurchase(config, now) {
+  const events = VIEWS.map((view, i) => ({
+    client_id: 'kunstpakket.nl',
+    event_id: `view-${i}`,
+    visitor_id: 'v-1',
+    session_id: 's-1',
+    event: 'view',
+    product_id: view.product_id,
+    product_url: `https://www.kunstpakket.nl/p${view.product_id}.html`,
+    product_title: view.product_title,
+    product_price: view.product_price,
+    currency: 'EUR',
+    received_at: now - view.days_ago * DAY_MS
+  }));
+  const order = parseWebhook({ ...ORDER, created_at: now, visitor_id: 'v-1' });
+  return reconcile(order, events, config).event;
+}
+
+SCENARIOS.forEach(scenario => {
+  test(`widget en reconcile geven dezelfde commissie: ${scenario.name}`, async () => {
+    const now = Date.now();
+    const fromWidget = await widgetPurchase(scenario.config, now);
+    const fromReconcile = reconciledPurchase(scenario.config, now);
+
+    assert.ok(fromWidget, 'widget heeft geen purchase verstuurd');
+    const pick = (event) => ({
+      revenue: event.revenue,
+      commission_rule_id: event.commission_rule_id,
+      commission_base: event.commission_base,
+      attributed_product_purchased: event.attributed_product_purchased,
+      attribution_model: event.attribution_model,
+      attributed_view_ids: event.attributed_views.map(view => view.view_id)
+    });
+    assert.deepStrictEqual(pick(fromReconcile), pick(fromWidget));
+  });
+});
+
+test('reconcile defaults zijn gelijk aan de embed config defaults van de widget', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/');
+  const config = window.KunstpakketAnalytics.config;
+
+  assert.strictEqual(DEFAULT_OPTIONS.clientId, config.clientId);
+  assert.strictEqual(DEFAULT_OPTIONS.apiUrl, config.apiUrl);
+  assert.strictEqual(DEFAULT_OPTIONS.attribution.model, config.attribution.model);
+  assert.strictEqual(DEFAULT_OPTIONS.attribution.windowDays, config.attribution.windowDays);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(DEFAULT_OPTIONS.commission.rules)), JSON.parse(JSON.stringify(config.commission.rules)));
+
+  window.KunstpakketAnalytics.destroy();
+});
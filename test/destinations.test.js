@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget } = require('./load-widget');
+
+const PRODUCT_PAGE = '<!doctype html><html><head><title>Heart to heart</title>' +
+  '<meta property="og:type" content="product"><meta property="og:title" content="Heart to heart"></head><body></body></html>';
+
+/**
+ * Laad een pagina met gtag en consent; gtag calls komen in window.gtagCalls
+ */
+function loadWithGtag(url, options = {}) {
+  return loadWidget(url, {
+    ...options,
+    before: (w) => {
+      w.localStorage.setItem('kp_consent', 'granted');
+      w.gtagCalls = [];
+      w.gtag = (...args) => w.gtagCalls.push(args);
+      if (options.before) options.before(w);
+    }
+  });
+}
+
+test('GA4 krijgt default het bestaande ai_chatbot_visit event en geen purchase', async () => {
+  const window = loadWithGtag('https://www.kunstpakket.nl/product/heart.html?utm_source=bluestars-ai-site&utm_content=123&f=1', { html: PRODUCT_PAGE });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const events = window.gtagCalls.filter(call => call[0] === 'event');
+  assert.deepStrictEqual(events.map(call => call[1]), ['ai_chatbot_visit']);
+  assert.strictEqual(events[0][2].source, 'bluestars-ai-site');
+  assert.ok(events[0][2].page_location.includes('/product/heart.html'));
+
+  window.KunstpakketAnalytics.destroy();
+});
+
+test('purchase zonder order_id gaat niet naar destinations', async () => {
+  const window = loadWithGtag('https://www.kunstpakket.nl/checkout/thankyou?f=1', {
+    html: '<!doctype html><html><head><title>Bedankt voor je bestelling</title></head><body data-thank-you-page><div class="order-total">Totaal € 99,00</div></body></html>',
+    config: { destinations: { ga4: { events: { purchase: 'purchase' } } } }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const log = window.KunstpakketAnalytics.getDiagnostics().event_log;
+  assert.ok(log.some(entry => entry.event === 'purchase' && entry.status === 'queued'));
+  assert.ok(log.some(entry => entry.event === 'purchase' && entry.status === 'skipped'));
+  assert.strictEqual(window.gtagCalls.filter(call => call[1] === 'purchase').length, 0);
+
+  window.KunstpakketAnalytics.destroy();
+});
+
+test('purchase met order_id gaat met transaction_id naar GA4 als purchase aan staat', async () => {
+  const window = loadWithGtag('https://www.kunstpakket.nl/checkout/thankyou?order_id=KP-1001&f=1', {
+    html: '<!doctype html><html><head><title>Bedankt voor je bestelling</title></head><body data-thank-you-page><div class="order-total">Totaal € 99,00</div></body></html>',
+    config: { destinations: { ga4: { events: { purchase: 'purchase' } } } }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const purchases = window.gtagCalls.filter(call => call[1] === 'purchase');
+  assert.strictEqual(purchases.length, 1);
+  assert.strictEqual(purchases[0][2].transaction_id, 'KP-1001');
+
+  window.KunstpakketAnalytics.destroy();
+});
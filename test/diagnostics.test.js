@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget, sentEvents } = require('./load-widget');
+
+const LEGACY = {
+  kp_product_id: '12345',
+  kp_product_title: 'Bronzen uil',
+  kp_product_price: '45.00',
+  kp_view_timestamp: String(Date.now() - 60 * 60 * 1000)
+};
+
+test('diagnostics laat de oude kp_product_* keys staan', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/', {
+    before: (w) => {
+      w.localStorage.setItem('kp_consent', 'granted');
+      Object.keys(LEGACY).forEach(key => w.localStorage.setItem(key, LEGACY[key]));
+    }
+  });
+
+  const journal = window.KunstpakketAnalytics.getDiagnostics().attribution.journal;
+
+  assert.strictEqual(journal.length, 1);
+  assert.strictEqual(journal[0].product_id, '12345');
+  Object.keys(LEGACY).forEach(key => assert.strictEqual(window.localStorage.getItem(key), LEGACY[key]));
+  assert.strictEqual(window.localStorage.getItem('kp_attribution_journal'), null);
+
+  window.KunstpakketAnalytics.destroy();
+});
+
+test('de oude keys worden pas bij een gewone journal read gemigreerd', async () => {
+  const window = loadWidget('https://www.kunstpakket.nl/checkout/thankyou?f=1', {
+    before: (w) => {
+      w.localStorage.setItem('kp_consent', 'granted');
+      Object.keys(LEGACY).forEach(key => w.localStorage.setItem(key, LEGACY[key]));
+      w.dataLayer = [{
+        event: 'purchase',
+        ecommerce: { transaction_id: 'KP-3001', value: 45, currency: 'EUR', items: [{ item_id: '12345', item_name: 'Bronzen uil', price: 45, quantity: 1 }] }
+      }];
+    }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  Object.keys(LEGACY).forEach(key => assert.strictEqual(window.localStorage.getItem(key), null));
+  const purchase = sentEvents(window).find(event => event.event === 'purchase');
+  assert.strictEqual(purchase.attributed_views[0].product_id, '12345');
+
+  window.KunstpakketAnalytics.destroy();
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget } = require('./load-widget');
+
+test('?f=1 en exposures komen pas na consent in sessionStorage', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    config: { flags: { banner_copy: { variants: { a: 50, b: 50 } } } }
+  });
+  const analytics = window.KunstpakketAnalytics;
+
+  assert.strictEqual(analytics.getConsent(), 'pending');
+  const variant = analytics.getVariant('banner_copy');
+  assert.ok(variant);
+  assert.strictEqual(window.sessionStorage.getItem('kp_widget_enabled'), null);
+  assert.strictEqual(window.sessionStorage.getItem('kp_exposures'), null);
+
+  analytics.setConsent(true);
+
+  assert.strictEqual(window.sessionStorage.getItem('kp_widget_enabled'), 'true');
+  assert.strictEqual(JSON.parse(window.sessionStorage.getItem('kp_exposures'))[`banner_copy:${variant}`], true);
+
+  analytics.destroy();
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget } = require('./load-widget');
+
+test('visitor en sessie worden opgeslagen na denied → granted', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    before: (w) => w.localStorage.setItem('kp_consent', 'denied')
+  });
+  const analytics = window.KunstpakketAnalytics;
+
+  assert.strictEqual(analytics.getConsent(), 'denied');
+  const identity = analytics.getIdentity();
+  assert.ok(identity.visitor_id);
+  assert.strictEqual(window.localStorage.getItem('kp_visitor_id'), null);
+  assert.ok(!window.document.cookie.includes('kp_vid='));
+
+  analytics.setConsent(true);
+
+  assert.strictEqual(analytics.getConsent(), 'granted');
+  assert.strictEqual(window.localStorage.getItem('kp_visitor_id'), identity.visitor_id);
+  assert.strictEqual(JSON.parse(window.localStorage.getItem('kp_session')).id, identity.session_id);
+  assert.ok(window.document.cookie.includes(`kp_vid=${identity.visitor_id}`));
+
+  analytics.destroy();
+});
+
+test('visitor wordt opgeslagen als een CMP na denied alsnog toestemming geeft', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    before: (w) => {
+      w.dataLayer = [];
+      w.gtag = function () { w.dataLayer.push(arguments); };
+      w.gtag('consent', 'update', { analytics_storage: 'denied' });
+    }
+  });
+  const analytics = window.KunstpakketAnalytics;
+  assert.strictEqual(analytics.getConsent(), 'denied');
+  const visitorId = analytics.getIdentity().visitor_id;
+
+  window.gtag('consent', 'update', { analytics_storage: 'granted' });
+
+  assert.strictEqual(analytics.getConsent(), 'granted');
+  assert.strictEqual(window.localStorage.getItem('kp_visitor_id'), visitorId);
+
+  analytics.destroy();
+});
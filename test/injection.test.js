@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget, sentEvents } = require('./load-widget');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const PAGE = '<!doctype html><html><head></head><body><div id="pay" style="padding: 4px">Betalen</div></body></html>';
+
+test('safe mode: hostStyle alleen voor margin / padding / min-height / text-align', async () => {
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    html: PAGE,
+    before: (w) => w.localStorage.setItem('kp_consent', 'granted')
+  });
+  const analytics = window.KunstpakketAnalytics;
+  const pay = window.document.getElementById('pay');
+  await tick();
+
+  await analytics.injectContent('#pay', '<p>AI tip</p>', '', '', {
+    hostStyle: {
+      'background-image': 'url(https://evil.example/leak)',
+      display: 'none',
+      padding: '0',
+      margin: 'url(https://evil.example/leak)'
+    }
+  });
+
+  assert.strictEqual(pay.style.getPropertyValue('background-image'), '');
+  assert.strictEqual(pay.style.getPropertyValue('display'), '');
+  assert.strictEqual(pay.style.getPropertyValue('padding'), '0px');
+  assert.strictEqual(pay.style.getPropertyPriority('padding'), 'important');
+
+  const rejected = sentEvents(window).find(event => event.event === 'content_rejected');
+  assert.deepStrictEqual(rejected.rejected.sort(), ['host-style:background-image', 'host-style:display', 'host-style:external-resource']);
+
+  analytics.removeContent('#pay');
+  assert.strictEqual(pay.style.getPropertyValue('padding'), '4px');
+  analytics.destroy();
+});
+
+test('Trusted Types policy geeft alleen gesanitizede HTML terug', async () => {
+  const policies = [];
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    html: PAGE,
+    before: (w) => {
+      // Minimale Trusted Types: createPolicy geeft de rules terug
+      w.trustedTypes = { createPolicy: (name, rules) => { policies.push(rules); return rules; } };
+    }
+  });
+  const analytics = window.KunstpakketAnalytics;
+
+  await tick();
+  await analytics.injectContent('#pay', '<b>AI tip</b>', '', '');
+  assert.strictEqual(policies.length, 1);
+  assert.strictEqual(window.document.querySelector('[data-kp-injected] b').textContent, 'AI tip');
+
+  const html = policies[0].createHTML('<img src="x.png" onerror="alert(1)"><script>alert(2)</script><a href="javascript:alert(3)" id="order">Tip</a>');
+  assert.strictEqual(html, '<img src="x.png"><a>Tip</a>');
+
+  analytics.destroy();
+});
+
+test('chat panel en diagnostics worden zonder HTML strings opgebouwd', () => {
+  const window = loadWidget('https://www.kunstpakket.nl/?f=1', {
+    html: PAGE,
+    config: { chat: { title: 'Chat <img src=x onerror=alert(1)>' } },
+    before: (w) => {
+      w.trustedTypes = { createPolicy: (name, rules) => rules };
+    }
+  });
+  const analytics = window.KunstpakketAnalytics;
+
+  analytics.openChat();
+  const overlay = window.document.getElementById('kp-chat');
+  assert.strictEqual(overlay.querySelector('.kp-chat-header span').textContent, 'Chat <img src=x onerror=alert(1)>');
+  assert.strictEqual(overlay.querySelector('img'), null);
+  assert.ok(overlay.querySelector('iframe').getAttribute('src').startsWith('https://kunstpakket.ai/?embed=1'));
+  analytics.closeChat();
+
+  analytics.showDiagnostics();
+  const panel = window.document.getElementById('kp-diagnostics');
+  assert.strictEqual(panel.querySelectorAll('[data-action]').length, 4);
+  assert.ok(panel.querySelector('.kp-diag-log tr'));
+  analytics.hideDiagnostics();
+
+  analytics.destroy();
+});
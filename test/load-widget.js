@@ -0,0 +1,49 @@
+/**
+ * Laad widget.js in een jsdom pagina
+ *
+ * Requests naar de API worden niet verstuurd maar verzameld in window.sent (body als object).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const WIDGET_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'widget.js'), 'utf8');
+
+/**
+ * @param {string} url - Pagina URL (met ?f=1 om de widget aan te zetten)
+ * @param {Object} options - { html, config, before(window) }
+ * @returns {Window} jsdom window met window.KunstpakketAnalytics
+ */
+function loadWidget(url, options = {}) {
+  const html = options.html || '<!doctype html><html><head><title>Test</title></head><body></body></html>';
+  const dom = new JSDOM(html, { url: url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const window = dom.window;
+
+  window.sent = [];
+  window.fetch = async (requestUrl, init) => {
+    window.sent.push(init && init.body ? JSON.parse(init.body) : null);
+    return { ok: true, status: 200, json: async () => ({}), text: async () => '' };
+  };
+  window.navigator.sendBeacon = () => true;
+  window.console = { log() {}, info() {}, warn() {}, error() {} };
+  if (options.config) {
+    window.KunstpakketAnalyticsConfig = options.config;
+  }
+  if (options.before) {
+    options.before(window);
+  }
+
+  window.eval(WIDGET_SOURCE);
+  return window;
+}
+
+/**
+ * Alle verstuurde events (batches uitgepakt)
+ */
+function sentEvents(window) {
+  return window.sent.filter(Boolean).flatMap(body => body.events || [body]);
+}
+
+module.exports = { loadWidget, sentEvents };
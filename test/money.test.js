@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget } = require('./load-widget');
+
+const { parseMoney } = loadWidget('https://www.kunstpakket.nl/').KunstpakketAnalytics;
+const parse = (value, structured) => JSON.parse(JSON.stringify(parseMoney(value, structured)));
+
+test('parseMoney: duizendtallen in nl / de / en notatie', () => {
+  assert.deepStrictEqual(parse('€ 1.299,00'), { amount: 1299, currency: 'EUR' });
+  assert.deepStrictEqual(parse('1,299.00 USD'), { amount: 1299, currency: 'USD' });
+  assert.deepStrictEqual(parse('1 299,95 €'), { amount: 1299.95, currency: 'EUR' });
+  assert.deepStrictEqual(parse('€ 1.299'), { amount: 1299, currency: 'EUR' });
+  assert.deepStrictEqual(parse('12.345', true), { amount: 12.345, currency: null });
+});
+
+test('parseMoney: ",-" notatie', () => {
+  assert.deepStrictEqual(parse('€ 99,-'), { amount: 99, currency: 'EUR' });
+  assert.deepStrictEqual(parse('Nu voor 149,–'), { amount: 149, currency: null });
+});
+
+test('parseMoney: negatieve bedragen', () => {
+  assert.deepStrictEqual(parse('Korting: - € 10,00'), { amount: -10, currency: 'EUR' });
+  assert.deepStrictEqual(parse('-€5,50'), { amount: -5.5, currency: 'EUR' });
+});
+
+test('parseMoney: aantal vóór de prijs', () => {
+  assert.deepStrictEqual(parse('Totaal (2 artikelen): € 99,00'), { amount: 99, currency: 'EUR' });
+  assert.deepStrictEqual(parse('3 stuks à 45 EUR'), { amount: 45, currency: 'EUR' });
+  assert.deepStrictEqual(parse('Bestelling 2 items, totaal 59,95'), { amount: 59.95, currency: null });
+  assert.deepStrictEqual(parse('2 artikelen'), { amount: 2, currency: null });
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWidget, sentEvents } = require('./load-widget');
+
+/**
+ * Classificeer een URL (met optionele titel)
+ */
+function classify(path, title = 'Kunstpakket', body = '', config) {
+  const window = loadWidget(`https://www.kunstpakket.nl${path}`, {
+    html: `<!doctype html><html><head><title>${title}</title></head><body>${body}</body></html>`,
+    config: config
+  });
+  const result = window.KunstpakketAnalytics.classifyPage();
+  window.KunstpakketAnalytics.destroy();
+  return result.type;
+}
+
+test('pagina\'s die vóór de classificatie herkend werden blijven herkend', () => {
+  assert.strictEqual(classify('/product/heart-to-heart'), 'product');
+  assert.strictEqual(classify('/heart-to-heart.html?utm_source=bluestars-ai-site'), 'product');
+  assert.strictEqual(classify('/checkout/thankyou'), 'thank_you');
+  assert.strictEqual(classify('/thankyou?order=123'), 'thank_you');
+});
+
+test('bedank URL is alleen een thank you pagina met een tweede order signaal', () => {
+  assert.strictEqual(classify('/bedankt'), 'other');
+  assert.strictEqual(classify('/offerte/bedankt', 'Bedankt voor je aanvraag'), 'other');
+  assert.strictEqual(classify('/cadeaubon/bedankt'), 'other');
+  assert.strictEqual(classify('/betaling?status=success'), 'other');
+
+  assert.strictEqual(classify('/bedankt', 'Bedankt', '<p class="order-number">KP-1001</p>'), 'thank_you');
+  assert.strictEqual(classify('/bedankt', 'Bedankt', '<div data-thank-you-page></div>'), 'thank_you');
+  assert.strictEqual(classify('/bedankt?bestelnummer=1001'), 'thank_you');
+});
+
+test('pages.thankYouUrlOnly zet het oude gedrag terug', () => {
+  const config = { pages: { thankYouUrlOnly: true } };
+  assert.strictEqual(classify('/bedankt', 'Kunstpakket', '', config), 'thank_you');
+  assert.strictEqual(classify('/betaling?status=success', 'Kunstpakket', '', config), 'thank_you');
+  assert.strictEqual(classify('/nieuwsbrief/bedankt', 'Kunstpakket', '', config), 'other');
+});
+
+test('een bedankpagina zonder order stuurt geen purchase', async () => {
+  const window = loadWidget('https://www.kunstpakket.nl/offerte/bedankt?f=1', {
+    before: (w) => {
+      w.localStorage.setItem('kp_consent', 'granted');
+      w.localStorage.setItem('kp_attribution_journal', JSON.stringify([{
+        view_id: 'view-1', product_id: '100', product_title: 'Bronzen uil', product_price: 45, currency: 'EUR', viewed_at: Date.now() - 60000
+      }]));
+    }
+  });
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.strictEqual(sentEvents(window).filter(event => event.event === 'purchase').length, 0);
+  window.KunstpakketAnalytics.destroy();
+});
+
+test('nieuwsbrief en contact bedankpagina\'s zijn geen thank you pagina', () => {
+  assert.strictEqual(classify('/nieuwsbrief/bedankt', 'Bedankt voor je aanmelding'), 'other');
+  assert.strictEqual(classify('/contact/thankyou', 'Thank you'), 'other');
+  assert.strictEqual(classify('/heart-to-heart.html'), 'other');
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWebhook, reconcile } = require('../reconcile');
+
+const events = require('../fixtures/events.json');
+const genericOrders = require('../fixtures/orders-generic.json');
+const lightspeedOrder = require('../fixtures/lightspeed-order.json');
+
+/**
+ * Reconcile een webhook tegen (een kopie van) het events log
+ */
+function run(webhook, options = {}, log = events) {
+  return reconcile(parseWebhook(webhook, options), log.slice(), options);
+}
+
+test('generieke orders krijgen de verwachte status', () => {
+  const results = genericOrders.map(order => run(order));
+
+  assert.deepStrictEqual(results.map(result => [result.order_id, result.status]), [
+    ['KP-1001', 'matched'],
+    ['KP-1002', 'corrected'],
+    ['KP-1003', 'recovered'],
+    ['KP-1004', 'unattributed']
+  ]);
+  assert.strictEqual(results[0].event, null);
+  assert.strictEqual(results[3].event, null);
+});
+
+test('afwijkend bedrag wordt gecorrigeerd met verwijzing naar de client-side purchase', () => {
+  const { event, changes } = run(genericOrders[1]);
+
+  assert.deepStrictEqual(changes, { order_total: { from: 45, to: 89.9 } });
+  assert.strictEqual(event.event, 'purchase');
+  assert.strictEqual(event.order_id, 'KP-1002');
+  assert.strictEqual(event.order_total, 89.9);
+  assert.strictEqual(event.revenue, 10);
+  assert.strictEqual(event.commission_rule_id, 'flat-10');
+  assert.strictEqual(event.items.length, 2);
+  assert.strictEqual(event.attributed_product_purchased, true);
+  assert.strictEqual(event.reconciliation.corrects_event_id, '0b6f2d1e-1c1a-4c53-9a51-6f0c1e2d3a04');
+  assert.strictEqual(event.variants.banner, 'short');
+});
+
+test('gemiste purchase wordt hersteld uit de views van de visitor', () => {
+  const { event } = run(genericOrders[2]);
+
+  assert.strictEqual(event.schema_version, 1);
+  assert.strictEqual(event.visitor_id, 'v-1003');
+  assert.strictEqual(event.session_id, 's-1003');
+  assert.strictEqual(event.order_total, 129);
+  assert.strictEqual(event.currency, 'EUR');
+  assert.strictEqual(event.revenue, 10);
+  assert.strictEqual(event.product_id, '777000222');
+  assert.deepStrictEqual(event.attributed_views.map(view => view.view_id), ['0b6f2d1e-1c1a-4c53-9a51-6f0c1e2d3a05']);
+  assert.strictEqual(event.extraction_sources.order_total, 'webhook:generic');
+  assert.strictEqual(event.reconciliation.status, 'recovered');
+});
+
+test('Lightspeed order wordt genormaliseerd en hersteld', () => {
+  const order = parseWebhook(lightspeedOrder, { format: 'lightspeed' });
+  assert.strictEqual(order.order_id, 'ORD00042');
+  assert.strictEqual(order.total, 249);
+  assert.strictEqual(order.tax, 43.21);
+  assert.deepStrictEqual(order.items, [{ id: '888000333', title: 'Schilderij Zee', quantity: 1, unit_price: 249, category: null }]);
+
+  const result = run(lightspeedOrder, { format: 'lightspeed' });
+  assert.strictEqual(result.status, 'recovered');
+  assert.strictEqual(result.event.order_source, 'webhook:lightspeed');
+});
+
+test('event_id is stabiel voor een herhaalde webhook en verandert met het bedrag', () => {
+  const first = run(genericOrders[2]).event.event_id;
+  const second = run(JSON.parse(JSON.stringify(genericOrders[2]))).event.event_id;
+  const changed = run({ ...genericOrders[2], total: 130 }).event.event_id;
+
+  assert.match(first, /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-8[0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.strictEqual(first, second);
+  assert.notStrictEqual(first, changed);
+});
+
+test('herhaalde webhook na een correctie is matched', () => {
+  const log = events.slice();
+  const corrected = run(genericOrders[1], {}, log);
+  log.push({ ...corrected.event, received_at: '2026-10-02T14:30:00.000Z' });
+
+  assert.strictEqual(run(genericOrders[1], {}, log).status, 'matched');
+});
+
+test('onbruikbare webhooks zijn invalid', () => {
+  assert.strictEqual(run({ total: 10 }).status, 'invalid');
+  assert.strictEqual(run({ order_id: 'KP-9', total: 'gratis' }).status, 'invalid');
+  assert.strictEqual(run(genericOrders[0], { format: 'shopify' }).status, 'invalid');
+});
+
+test('views buiten het attribution window tellen niet', () => {
+  assert.strictEqual(run({ ...genericOrders[2], created_at: '2026-10-20T00:00:00Z' }).status, 'unattributed');
+  assert.strictEqual(run({ ...genericOrders[2], created_at: '2026-10-20T00:00:00Z' }, { attribution: { windowDays: 30 } }).status, 'recovered');
+});
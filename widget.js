@@ -3,732 +3,5448 @@
  * 
  * Trackt product page views en purchases voor analytics dashboard.
  * 
- * Locatie: Kunstpakket.nl
+ * Locatie: Kunstpakket.nl (en andere webshops via embed config)
  */
 (function() {
   'use strict';
   
   const VERSION = '7.0.0';
-  const ANALYTICS_API = 'https://analytics.bluestars.app/api/track'; // Update met je analytics URL
-  const CLIENT_ID = 'kunstpakket.nl';
   
+  // Script tag van de widget (voor data-* config). Alleen beschikbaar tijdens het synchroon uitvoeren.
+  const currentScript = document.currentScript || document.querySelector('script[src*="widget.js"]');
+  
+  /*
+   * Alles tussen @shared-begin en @shared-end (DEFAULT_CONFIG, attributie en commissie) gebruikt
+   * reconcile.js rechtstreeks uit dit bestand, zodat server-side dezelfde regels gelden.
+   * Geen window / document of andere browser API's in dit blok.
+   */
+  // @shared-begin
   /**
-   * FEATURE FLAG: Test Mode
+   * Default Config
    * 
-   * Widget wordt alleen geladen als er `f=1` in de URL staat.
-   * Dit maakt het mogelijk om de widget te testen zonder dat deze live is voor alle gebruikers.
+   * Overschrijven kan (in deze volgorde, laatste wint):
+   * 1. `window.KunstpakketAnalyticsConfig = { ... }` vóór het laden van widget.js
+   * 2. data-* attributes op de script tag (zie DATA_ATTRIBUTES)
    * 
-   * Gebruik: Voeg `?f=1` toe aan de URL om de widget te activeren
-   * Voorbeeld: https://www.kunstpakket.nl/product.html?f=1
-   * 
-   * Deze flag wordt opgeslagen in sessionStorage zodat deze actief blijft tijdens de hele sessie.
-   * Om de widget uit te schakelen: verwijder de parameter en refresh de pagina.
+   * De config wordt gevalideerd: onbekende keys en waardes van het verkeerde type worden
+   * genegeerd (met een warning) en vallen terug op de default.
+   * De uiteindelijke config is read-only beschikbaar via `KunstpakketAnalytics.config`.
    */
-  function isFeatureEnabled() {
-    // Check URL parameter
-    const urlParams = new URLSearchParams(window.location.search);
-    const urlFlag = urlParams.get('f');
+  const DEFAULT_CONFIG = {
+    apiUrl: 'https://analytics.bluestars.app/api/track',
+    clientId: 'kunstpakket.nl',
+    utmSource: 'bluestars-ai-site',   // Alleen views met deze utm_source worden getrackt
+    bannerSelector: '.container-bar', // Leeg = geen AI banner
+    storagePrefix: 'kp_',             // Prefix voor alle localStorage / sessionStorage keys
     
-    if (urlFlag === '1') {
-      // Sla op in sessionStorage voor de hele sessie
-      sessionStorage.setItem('kp_widget_enabled', 'true');
-      return true;
+    /**
+     * Content Injection
+     * 
+     * source: 'api'   → rules worden opgehaald van `apiUrl` (aanbevolen, aanpasbaar zonder widget update)
+     * source: 'local' → rules uit `rules` hieronder
+     * 
+     * API rules worden gecached in localStorage (`cacheTTL` ms). Als de API niet bereikbaar is
+     * vallen we terug op de (verlopen) cache en daarna op de lokale rules.
+     * Zie CONTENT-INJECTION-GUIDE.md voor het rule formaat.
+     */
+    content: {
+      enabled: true,
+      source: 'api',
+      apiUrl: 'https://analytics.bluestars.app/api/content',
+      cacheTTL: 5 * 60 * 1000, // 5 minuten
+      rules: []
+    },
+    
+    /**
+     * Attribution
+     * 
+     * Elke AI-referred product view wordt opgeslagen in een journal (`kp_attribution_journal`).
+     * Bij een purchase bepaalt `model` welke views de aankoop krijgen:
+     * - 'last_touch'  → laatst bekeken product (default)
+     * - 'first_touch' → eerst bekeken product
+     * - 'all_touched' → alle bekeken producten binnen het window
+     * 
+     * Views ouder dan `windowDays` tellen niet meer mee en worden opgeruimd. Boven `maxEntries`
+     * vallen de middelste views weg (de eerste view blijft voor first_touch).
+     */
+    attribution: {
+      model: 'last_touch',
+      windowDays: 7,
+      maxEntries: 20
+    },
+    
+    /**
+     * Campagne context
+     * 
+     * Bij binnenkomst worden utm_* parameters, click IDs, referrer en landingspagina vastgelegd
+     * als first touch en last touch (`kp_campaign`, bewaard binnen attribution.windowDays)
+     * en meegestuurd met view en purchase events. Directe bezoeken overschrijven de last touch niet.
+     * 
+     * sources: extra utm_source waardes die als AI verkeer tellen (naast utmSource),
+     *          bijv. ['bluestars-ai-chat', 'bluestars-ai-mail'] om plaatsingen te vergelijken
+     * clickIds: URL parameters van advertentienetwerken
+     */
+    campaign: {
+      sources: [],
+      clickIds: ['gclid', 'fbclid', 'msclkid']
+    },
+    
+    /**
+     * Purchase De-duplicatie
+     * 
+     * Gerapporteerde orders worden bijgehouden in localStorage (`kp_reported_orders`), zodat een
+     * refresh, de link uit de bevestigingsmail of de back button geen tweede purchase stuurt.
+     * Zonder order ID valt de widget terug op de thank you URL, maar dan maar `urlFallbackMinutes`
+     * lang (anders zou een generieke /thankyou URL alle volgende orders blokkeren).
+     */
+    purchase: {
+      retentionDays: 180,
+      urlFallbackMinutes: 30,
+      maxEntries: 100
+    },
+    
+    /**
+     * Commission
+     * 
+     * `revenue` (commissie voor Bluestars) wordt berekend met deze rules. De eerste rule waarvan
+     * `when` klopt wordt toegepast; het `id` gaat mee in het purchase event (`commission_rule_id`).
+     * 
+     * Rule types:
+     * - flat:       { type: 'flat', amount: 10 }
+     * - percentage: { type: 'percentage', percentage: 8, base: 'order_total' }
+     * - tiered:     { type: 'tiered', base: 'order_total', tiers: [{ min: 0, amount: 5 }, { min: 100, percentage: 8 }] }
+     * 
+     * base: 'order_total' (default), 'items' (order regels, gefilterd op `when.categories`)
+     *       of 'attributed_items' (alleen de AI-aanbevolen producten in de order)
+     * min / max: ondergrens en plafond voor de commissie
+     * when: { min_order_total, max_order_total, categories, product_ids,
+     *         max_days_since_view, attributed_product_purchased }
+     * 
+     * Zie INTEGRATION-GUIDE.md voor voorbeelden.
+     */
+    commission: {
+      rules: [
+        { id: 'flat-10', type: 'flat', amount: 10 }
+      ]
+    },
+    
+    /**
+     * Consent (AVG / GDPR)
+     * 
+     * Zolang de bezoeker geen toestemming heeft gegeven worden events en product views alleen
+     * in het geheugen vastgehouden. Na toestemming worden ze alsnog opgeslagen en verstuurd;
+     * bij weigering worden ze weggegooid en wordt alle opgeslagen data (`kp_*`) gewist.
+     * 
+     * Signalen (eerste met een antwoord wint):
+     * 1. KunstpakketAnalytics.setConsent(true | false)
+     * 2. IAB TCF v2 (`__tcfapi`): alle `tcfPurposes` moeten toestemming hebben
+     * 3. Google Consent Mode: `analytics_storage`
+     * 4. Cookiebot (`statistics`) / CookieYes (`analytics`)
+     * 
+     * required: false → altijd tracken (alleen als de shop consent zelf regelt)
+     */
+    consent: {
+      required: true,
+      tcfPurposes: [1, 7] // 1 = opslag op apparaat, 7 = advertentieprestaties meten
+    },
+    
+    /**
+     * Pagina classificatie
+     * 
+     * Declaratieve rules (BUILTIN_PAGE_RULES + rules) geven elk een gewicht aan een pagina type.
+     * De score per type is de som van de gewichten van de rules die matchen (negatieve rules trekken af),
+     * begrensd op 0 - 1. Het type met de hoogste score wint, maar telt pas vanaf thresholds[type] (default 0.5).
+     * Onder de threshold voor thank_you wordt er geen purchase getrackt.
+     * 
+     * - rules:   extra rules, bijv. { id: 'my_ty', type: 'thank_you', weight: 0.8, selector: '#order-confirmation' }
+     * - disable: id's van ingebouwde rules die niet gebruikt worden
+     * - thankYouUrlOnly: true = "bedankt" / "thankyou" / ?status=success in de URL is genoeg voor een purchase
+     *   (oude gedrag, ook op bedankpagina's zonder order). Default is er een tweede signaal nodig.
+     */
+    pages: {
+      thresholds: { thank_you: 0.6, product: 0.5 },
+      rules: [],
+      disable: [],
+      thankYouUrlOnly: false
+    },
+    
+    /**
+     * Extractors
+     * 
+     * Per veld (product_id, product_title, product_price, order_total, order_id) een geordende lijst
+     * bronnen; de eerste bron met een geldige waarde wint. Zie BUILTIN_EXTRACTORS voor de defaults.
+     * 
+     * - sources: vervangt de ingebouwde lijst volledig (leeg = ingebouwde lijst)
+     * - add:     extra bronnen, standaard vooraan; met `before` / `after` (bron id) op een vaste plek
+     * - disable: bron id's die niet gebruikt worden
+     * - order:   bron id's die (in deze volgorde) eerst geprobeerd worden
+     * 
+     * Bron types:
+     * - { type: 'param', name: 'utm_content' }                     URL parameter (`names` voor meerdere)
+     * - { type: 'path', pattern: '/product/([^/]+)' }                 eerste capture group uit het URL pad
+     * - { type: 'selector', selector: '.sku', attribute: 'data-x' }  attribute, of tekst zonder `attribute`
+     *                                                                 (`all: true` = alle matches proberen)
+     * - { type: 'meta', name: 'product:id' }                         meta tag (property of name)
+     * - { type: 'js', path: 'order.total' }                          pad vanaf window (`path` mag een array zijn)
+     * - { type: 'jsonLd', entity: 'Product', path: 'offers.price' }  schema.org JSON-LD (alle blocks, @graph)
+     * - { type: 'documentTitle', strip: ' - Shop$' }                 document.title
+     */
+    extractors: {
+      product_id: { sources: [], add: [], disable: [], order: [] },
+      product_title: { sources: [], add: [], disable: [], order: [] },
+      product_price: { sources: [], add: [], disable: [], order: [] },
+      order_total: { sources: [], add: [], disable: [], order: [] },
+      order_id: { sources: [], add: [], disable: [], order: [] }
+    },
+    
+    /**
+     * Event Delivery
+     * 
+     * Events worden niet direct verstuurd maar eerst in een localStorage queue gezet.
+     * Zo overleven ze een mislukte request, een redirect of het sluiten van de thank you pagina.
+     * 
+     * - Retry met exponential backoff (2s, 4s, 8s, ...), ook bij volgende pageviews
+     * - Flush via navigator.sendBeacon bij pagehide / visibilitychange
+     * - Meerdere events tegelijk worden als batch verstuurd: { client_id, events: [...] }
+     * - Elk event krijgt een `event_id` zodat de API duplicaten kan negeren
+     */
+    delivery: {
+      maxQueueSize: 50,
+      maxAttempts: 8,
+      baseDelay: 2000,
+      maxDelay: 10 * 60 * 1000,             // 10 minuten
+      maxEventAge: 7 * 24 * 60 * 60 * 1000, // 7 dagen
+      batchSize: 20
+    },
+    
+    /**
+     * SPA navigatie & DOM wijzigingen
+     * 
+     * Route changes komen binnen via pushState / replaceState / popstate / hashchange en de Navigation API.
+     * Na elke navigatie (en na init) kijkt een MutationObserver settleTimeout ms mee of de pagina
+     * alsnog een product / thank you pagina wordt. waitTimeout = max wachttijd op een selector.
+     */
+    navigation: {
+      waitTimeout: 10000,
+      settleTimeout: 10000
+    },
+    
+    /**
+     * Feature flags & experiments
+     * 
+     * Per flag:
+     * - rollout: percentage bezoekers (0-100) waarvoor de flag aan staat (default 100)
+     * - variants: { naam: gewicht } of { naam: { weight, ...payload } } voor A/B tests
+     * 
+     * Bucketing is sticky per bezoeker (FNV-1a hash van visitor ID + flag naam).
+     * 'widget' is de hoofdschakelaar; ?f=1 zet de widget nog steeds aan voor de sessie.
+     * QA: ?kp_flags=banner:short,widget:on (on / off / variant naam, blijft in sessionStorage; ?kp_flags=reset wist)
+     * 
+     * Voorbeeld:
+     * banner: { rollout: 50, variants: { control: 50, short: { weight: 50, text: 'Vraag Frederique AI' } } }
+     */
+    flags: {
+      widget: { rollout: 0 }
+    },
+    
+    /**
+     * Banner tracking (alle content uit injectContent)
+     * 
+     * - banner_impression: pas als visibleRatio van de content impressionDwell ms in beeld is
+     * - banner_click: klik op een link / button in de content
+     * - banner_dismiss: klik op een [data-kp-dismiss] element; content blijft dismissDays weg
+     * closeButton: voeg een sluitknop toe aan de AI banner
+     */
+    banners: {
+      impressionDwell: 1000,
+      visibleRatio: 0.5,
+      dismissDays: 30,
+      closeButton: false
+    },
+    
+    /**
+     * Chat panel: de AI banner opent de assistent in een iframe (protocol: zie openChat)
+     * url moet https zijn (http alleen voor localhost, bijv. chat-stub.html)
+     */
+    chat: {
+      enabled: true,
+      url: 'https://kunstpakket.ai',
+      title: 'Cadeautips van Frederique AI'
+    },
+    
+    /**
+     * Safe injection (default aan)
+     * 
+     * - HTML wordt gefilterd op een allowlist van tags en attributes (SAFE_TAGS / SAFE_ATTRIBUTES + allowTags / allowAttributes)
+     * - `js` mag alleen de naam van een geregistreerd behaviour zijn (zie registerBehaviour), geen code
+     * - CSS met @import / url() / expression() wordt geweigerd
+     * - hostStyle alleen voor margin / padding / min-height / text-align (SAFE_HOST_STYLES)
+     * - <style> / <script> krijgen de CSP nonce van de widget.js script tag (of nonce)
+     * - HTML wordt geparst via een Trusted Types policy (trustedTypesPolicy) die zelf ook sanitized
+     * Alles wat geweigerd wordt gaat als `content_rejected` event naar de API.
+     * safe: false = oude gedrag (ruwe HTML en JavaScript strings), alleen voor vertrouwde bronnen.
+     */
+    injection: {
+      safe: true,
+      allowTags: [],
+      allowAttributes: [],
+      nonce: '',
+      trustedTypesPolicy: 'kp-analytics'
+    },
+    
+    /**
+     * Anonieme bezoeker / sessie identiteit (visitor_id en session_id in elk event)
+     * 
+     * Visitor ID staat in localStorage én in een first-party cookie op het hoofddomein, zodat hij
+     * ook op www. en checkout. subdomeinen hetzelfde is. Pas opgeslagen na consent.
+     * cookieDomain: leeg = automatisch (hoogste domein waar een cookie gezet kan worden, bijv. kunstpakket.nl)
+     * sessionTimeout: na zoveel ms inactiviteit begint een nieuwe sessie
+     */
+    identity: {
+      cookieDomain: '',
+      cookieDays: 395,                  // ~13 maanden
+      sessionTimeout: 30 * 60 * 1000    // 30 minuten
+    },
+    
+    /**
+     * Destinations: events doorsturen naar de analytics tools van de shop (na consent)
+     * 
+     * events: widget event → event naam bij de destination ('' = niet doorsturen).
+     * Custom events (track) kunnen ook, bijv. events: { wishlist_add: 'add_to_wishlist' }.
+     * - ga4:       gtag('event', ...) met GA4 ecommerce data. Default alleen het bestaande `ai_chatbot_visit`
+     *              (page_location + source); purchase is opt-in omdat de shop die meestal zelf al naar GA4 stuurt
+     * - gtm:       dataLayer.push({ event, ecommerce }) voor GTM containers zonder gtag
+     * - metaPixel: fbq('track', 'ViewContent' / 'Purchase', ..., { eventID })
+     */
+    destinations: {
+      ga4: {
+        enabled: true,
+        sendTo: '',  // Optioneel: GA4 measurement ID (G-XXXX) als er meerdere zijn
+        events: { view: 'ai_chatbot_visit', purchase: '' }
+      },
+      gtm: {
+        enabled: false,
+        dataLayer: 'dataLayer',
+        events: { view: 'kp_view_item', purchase: 'kp_purchase' }
+      },
+      metaPixel: {
+        enabled: false,
+        events: { view: 'ViewContent', purchase: 'Purchase' }
+      }
+    },
+    
+    /**
+     * Engagement op AI-referred product pagina's
+     * 
+     * Na de view wordt gemeten hoe de bezoeker de pagina gebruikt. Bij pagehide (of SPA navigatie)
+     * gaat er één `engagement` event uit met actieve tijd, scroll diepte en clicks.
+     * Actieve tijd pauzeert als de tab verborgen is of na idleTimeout ms zonder input.
+     * selectors: waar gallery / beschrijving / reviews staan (clicks daarbinnen tellen)
+     */
+    engagement: {
+      enabled: true,
+      idleTimeout: 30000,
+      selectors: {
+        gallery: ['.product-gallery', '.product-images', '.gallery', '.swiper', '.slick-slider', '.fotorama', '[data-gallery]'],
+        description: ['.product-description', '#description', '.description', '[itemprop="description"]'],
+        reviews: ['#reviews', '.reviews', '.product-reviews', '[itemprop="review"]', 'a[href*="#review"]']
+      }
+    },
+    
+    /**
+     * Funnel tussen view en purchase (alleen voor bezoekers met een AI-referred view in de journal)
+     * 
+     * - add_to_cart:   submit van een addToCart.forms formulier, click op een addToCart.buttons knop
+     *                  of een geslaagde POST fetch / XHR naar een URL met een van addToCart.requests
+     * - cart_view:     pagina waarvan het pad een van cartPages bevat
+     * - checkout_step: pagina waarvan het pad de url van een checkoutSteps stap bevat (langste match wint)
+     * dedupeMs: één toevoeging geeft vaak click + submit + request; binnen deze tijd telt alleen de eerste
+     */
+    funnel: {
+      enabled: true,
+      dedupeMs: 2000,
+      addToCart: {
+        forms: ['form[action*="/cart/add"]', 'form[action*="add-to-cart"]', 'form.cart'],
+        buttons: ['.add-to-cart', '.btn-addtocart', '#add-to-cart', 'button[name="add-to-cart"]', '[data-action="add-to-cart"]'],
+        requests: ['/cart/add', 'wc-ajax=add_to_cart', 'add-to-cart=']
+      },
+      cartPages: ['/cart', '/winkelwagen', '/basket'],
+      checkoutSteps: [
+        { name: 'checkout', url: '/checkout' },
+        { name: 'details', url: '/checkout/details' },
+        { name: 'shipping', url: '/checkout/shipment' },
+        { name: 'payment', url: '/checkout/payment' }
+      ]
+    },
+    
+    /**
+     * Custom events via track(eventName, properties)
+     * 
+     * schemas: extra / eigen schemas naast EVENT_SCHEMAS, bijv.
+     *   { review_written: { required: ['product_id'], properties: { product_id: 'string', rating: 'number' } } }
+     * strict: true = alleen events met een schema accepteren
+     * commandQueue: naam van de globale command queue (window.kpq), leeg = uit
+     */
+    events: {
+      schemas: {},
+      strict: false,
+      commandQueue: 'kpq'
     }
+  };
+  
+  /**
+   * Bepaal welke views (journal entries, oudste eerst) een purchase krijgen volgens het attribution model
+   */
+  function getAttributedViews(journal, model) {
+    if (journal.length === 0) return [];
     
-    // Check sessionStorage (blijft actief tijdens sessie)
-    return sessionStorage.getItem('kp_widget_enabled') === 'true';
+    switch (model) {
+      case 'first_touch':
+        return [journal[0]];
+      case 'all_touched':
+        return journal.slice();
+      case 'last_touch':
+        return [journal[journal.length - 1]];
+      default:
+        console.warn('[KP Analytics] Unknown attribution model, using last_touch:', model);
+        return [journal[journal.length - 1]];
+    }
   }
   
   /**
-   * Content Injection - Simple & Custom
-   * Gebruik deze functie om HTML, CSS en JavaScript te injecteren
-   * 
-   * Voorbeeld gebruik:
-   * window.KunstpakketAnalytics.injectContent('#x', '<div>Hello</div>', '.my-class { color: red; }', 'console.log("test");');
+   * Check of een van de toegewezen (AI-referred) producten in de order zit
+   * null = onbekend (geen order regels of geen product ID's)
    */
+  function isAttributedProductPurchased(items, attributedViews) {
+    const viewedIds = attributedViews.map(view => view.product_id).filter(Boolean).map(String);
+    if (items.length === 0 || viewedIds.length === 0) return null;
+    
+    return items.some(item => item.id !== null && viewedIds.includes(item.id));
+  }
   
   /**
-   * Track event naar analytics API
+   * Dagen tussen de toegewezen view en het order moment (first_touch: de eerste view, anders de meest recente)
    */
-  async function trackEvent(eventData) {
-    try {
-      const response = await fetch(ANALYTICS_API, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          client_id: CLIENT_ID,
-          ...eventData
-        }),
-        keepalive: true,
-        mode: 'cors',
-        credentials: 'omit'
-      });
-      
-      if (!response.ok) {
-        console.warn('[KP Analytics] Tracking failed:', await response.text());
-      } else {
-        console.log('[KP Analytics] ✅ Event tracked:', eventData.event);
-      }
-    } catch (err) {
-      console.warn('[KP Analytics] Tracking error:', err.message);
-    }
+  function getDaysSinceView(attributedViews, orderedAt) {
+    const attributedView = attributedViews[attributedViews.length - 1];
+    return attributedView && attributedView.viewed_at ? (orderedAt - attributedView.viewed_at) / (1000 * 60 * 60 * 24) : null;
   }
   
   /**
-   * Extract product ID uit URL of DOM
+   * Order regels die bij een commission rule horen (gefilterd op categorie of AI-aanbevolen producten)
    */
-  function extractProductId() {
-    // Optie 1: Uit UTM parameter (als die bestaat)
-    const urlParams = new URLSearchParams(window.location.search);
-    const utmContent = urlParams.get('utm_content');
-    if (utmContent) {
-      return utmContent;
-    }
-
-    // Optie 2: Uit URL path
-    const pathMatch = window.location.pathname.match(/\/product\/([^\/]+)/);
-    if (pathMatch) {
-      return pathMatch[1].replace('.html', '');
-    }
-
-    // Optie 3: Uit DOM element (data-product-id attribute)
-    const productIdEl = document.querySelector('[data-product-id]');
-    if (productIdEl) {
-      return productIdEl.getAttribute('data-product-id');
-    }
-
-    // Optie 4: Uit meta tag
-    const metaProductId = document.querySelector('meta[property="product:id"], meta[name="product:id"]');
-    if (metaProductId) {
-      return metaProductId.getAttribute('content');
+  function getCommissionItems(rule, context) {
+    const when = rule.when || {};
+    let items = context.items;
+    
+    if (rule.base === 'attributed_items') {
+      const viewedIds = context.attributed_views.map(view => view.product_id).filter(Boolean).map(String);
+      items = items.filter(item => item.id !== null && viewedIds.includes(item.id));
     }
-
-    // Optie 5: Uit script tag (JSON-LD structured data)
-    try {
-      const jsonLd = document.querySelector('script[type="application/ld+json"]');
-      if (jsonLd) {
-        const data = JSON.parse(jsonLd.textContent);
-        if (data['@type'] === 'Product' && data.sku) {
-          return data.sku;
-        }
-        if (data['@type'] === 'Product' && data.productID) {
-          return data.productID;
-        }
-      }
-    } catch (e) {
-      // Ignore
+    if (Array.isArray(when.categories)) {
+      items = items.filter(item => item.category !== null && when.categories.includes(item.category));
     }
-
-    return null; // Product ID is optioneel
+    return items;
   }
-
+  
   /**
-   * Extract product title uit pagina
+   * Bereken het bedrag waarover commissie berekend wordt
    */
-  function extractProductTitle() {
-    // Optie 1: Uit meta tag (Open Graph title - aanbevolen)
-    const metaTitle = document.querySelector('meta[property="og:title"]');
-    if (metaTitle) {
-      return metaTitle.getAttribute('content');
-    }
-
-    // Optie 2: Uit h1 tag met product class
-    const h1 = document.querySelector('h1.product-title, h1[data-product-title]');
-    if (h1) {
-      return h1.textContent.trim();
-    }
-
-    // Optie 3: Uit data attribute
-    const dataTitle = document.querySelector('[data-product-title]');
-    if (dataTitle) {
-      return dataTitle.getAttribute('data-product-title');
+  function getCommissionBase(rule, context) {
+    if (rule.base === 'items' || rule.base === 'attributed_items') {
+      return getCommissionItems(rule, context)
+        .reduce((sum, item) => sum + (item.unit_price || 0) * item.quantity, 0);
     }
-
-    // Optie 4: Uit page title (laatste redmiddel)
-    const pageTitle = document.title;
-    if (pageTitle && pageTitle !== 'Kunstpakket') {
-      // Verwijder site naam van title
-      return pageTitle.replace(/\s*[-|]\s*Kunstpakket.*$/i, '').trim();
-    }
-
-    return null; // Optioneel - API accepteert null
+    return context.order_total;
   }
   
   /**
-   * Extract order total uit pagina
+   * Check of de `when` condities van een commission rule kloppen
    */
-  function extractOrderTotal() {
-    // Optie 1: Uit URL parameter 'price' (aanbevolen - komt van Kunstpakket)
-    const urlParams = new URLSearchParams(window.location.search);
-    const priceParam = urlParams.get('price');
-    if (priceParam) {
-      const value = parseFloat(priceParam);
-      if (!isNaN(value) && value > 0) return value;
-    }
+  function matchesCommissionRule(rule, context) {
+    const when = rule.when || {};
     
-    // Optie 2: Uit data attribute
-    const orderTotalEl = document.querySelector('[data-order-total]');
-    if (orderTotalEl) {
-      const value = parseFloat(orderTotalEl.getAttribute('data-order-total'));
-      if (!isNaN(value) && value > 0) return value;
+    if (when.min_order_total !== undefined && context.order_total < when.min_order_total) return false;
+    if (when.max_order_total !== undefined && context.order_total > when.max_order_total) return false;
+    if (when.max_days_since_view !== undefined &&
+        (context.days_since_view === null || context.days_since_view > when.max_days_since_view)) return false;
+    if (when.attributed_product_purchased !== undefined &&
+        context.attributed_product_purchased !== when.attributed_product_purchased) return false;
+    if (Array.isArray(when.product_ids)) {
+      const productIds = when.product_ids.map(String);
+      const inOrder = context.items.some(item => productIds.includes(item.id));
+      const viewed = context.attributed_views.some(view => productIds.includes(String(view.product_id)));
+      if (!inOrder && !viewed) return false;
     }
+    if (Array.isArray(when.categories) && getCommissionItems(rule, context).length === 0) return false;
     
-    // Optie 3: Uit text content (zoek naar prijs)
-    const priceElements = document.querySelectorAll('[class*="price"], [class*="total"], [id*="total"], [class*="amount"]');
-    for (const el of priceElements) {
-      const text = el.textContent || el.innerText;
-      // Match: €12,99 of €12.99 of 12,99 of 12.99
-      const match = text.match(/€?\s*(\d+[.,]\d{2})/);
-      if (match) {
-        const value = parseFloat(match[1].replace(',', '.'));
-        if (!isNaN(value) && value > 0) return value;
+    return true;
+  }
+  
+  /**
+   * Bereken commissie volgens commission.rules
+   * Geeft { revenue, rule_id, base } terug; rule_id is null als geen rule matcht.
+   */
+  function computeCommission(rules, context) {
+    for (const rule of rules) {
+      if (!rule || !rule.id || !matchesCommissionRule(rule, context)) continue;
+      
+      const base = getCommissionBase(rule, context);
+      let revenue;
+      
+      if (rule.type === 'flat') {
+        revenue = rule.amount;
+      } else if (rule.type === 'percentage') {
+        revenue = base * rule.percentage / 100;
+      } else if (rule.type === 'tiered') {
+        const tier = (rule.tiers || [])
+          .filter(t => base >= (t.min || 0))
+          .sort((a, b) => (b.min || 0) - (a.min || 0))[0];
+        if (!tier) continue;
+        revenue = tier.amount !== undefined ? tier.amount : base * tier.percentage / 100;
+      } else {
+        console.warn('[KP Analytics] Unknown commission rule type:', rule.type, rule.id);
+        continue;
+      }
+      
+      if (typeof revenue !== 'number' || isNaN(revenue)) {
+        console.warn('[KP Analytics] Invalid commission rule:', rule.id);
+        continue;
       }
+      if (rule.min !== undefined) revenue = Math.max(revenue, rule.min);
+      if (rule.max !== undefined) revenue = Math.min(revenue, rule.max);
+      
+      return {
+        revenue: Math.round(revenue * 100) / 100,
+        rule_id: rule.id,
+        base: Math.round(base * 100) / 100
+      };
     }
     
-    // Optie 4: Uit JavaScript variabele
-    if (window.orderTotal) {
-      const value = parseFloat(window.orderTotal);
-      if (!isNaN(value) && value > 0) return value;
-    }
+    console.warn('[KP Analytics] No commission rule matched');
+    return { revenue: 0, rule_id: null, base: context.order_total };
+  }
+  // @shared-end
+  
+  // URL's van bedankpagina's (ty_url, en ty_url_only met pages.thankYouUrlOnly)
+  const THANK_YOU_URL = 'thank-?you|bedankt|order-success|bestelling-bevestigd|[?&](order|status)=success';
+  
+  /**
+   * Ingebouwde pagina rules
+   * 
+   * Alle condities van een rule moeten kloppen:
+   * - url: deel van pad + query (hoofdletterongevoelig)     - urlRegex: regex op pad + query (i)
+   * - param: URL parameter aanwezig                          - utm: true = utm_source is een AI source
+   * - selector: element bestaat                              - jsonLd: JSON-LD @type aanwezig
+   * - dataLayer: dataLayer push met deze event naam          - title: regex op document.title (i)
+   * negative: true = gewicht gaat van de score af
+   */
+  const BUILTIN_PAGE_RULES = [
+    // Thank you: sterke signalen van een echte order
+    { id: 'ty_marker', type: 'thank_you', weight: 0.8, selector: '[data-thank-you-page]' },
+    { id: 'ty_order_jsonld', type: 'thank_you', weight: 0.6, jsonLd: 'Order' },
+    { id: 'ty_datalayer_purchase', type: 'thank_you', weight: 0.6, dataLayer: 'purchase' },
+    { id: 'ty_checkout_url', type: 'thank_you', weight: 0.5, urlRegex: '(checkout|order|bestel)[^?#]*(thank-?you|bedankt|success|complete|confirm)' },
+    { id: 'ty_order_number', type: 'thank_you', weight: 0.3, selector: '.order-number, .order-id, [data-order-id]' },
+    // Thank you: URL signalen, alleen niet genoeg ("bedankt" staat ook in offerte- en cadeaubon URL's)
+    { id: 'ty_url', type: 'thank_you', weight: 0.3, urlRegex: THANK_YOU_URL },
+    { id: 'ty_order_param', type: 'thank_you', weight: 0.3, urlRegex: '[?&](order_?id|order_?number|ordernr|bestelnummer|order)=[^&#]*\\d' },
+    // Thank you: zwak signaal (alleen niet genoeg)
+    { id: 'ty_title', type: 'thank_you', weight: 0.15, title: 'bedankt|thank you' },
+    // Geen order: nieuwsbrief, contact, account
+    { id: 'ty_not_form', type: 'thank_you', weight: 0.6, negative: true, urlRegex: 'newsletter|nieuwsbrief|contact|subscribe|aanmeld|account|register|review' },
     
-    if (window.order && window.order.total) {
-      const value = parseFloat(window.order.total);
-      if (!isNaN(value) && value > 0) return value;
+    // Product
+    { id: 'product_jsonld', type: 'product', weight: 0.6, jsonLd: 'Product' },
+    { id: 'product_og', type: 'product', weight: 0.5, selector: 'meta[property="og:type"][content="product"]' },
+    { id: 'product_ai_link', type: 'product', weight: 0.5, utm: true, param: 'utm_content', urlRegex: '\\.html($|\\?)' },
+    { id: 'product_path', type: 'product', weight: 0.5, url: '/product/' },
+    { id: 'product_cart_form', type: 'product', weight: 0.3, selector: 'form[action*="/cart/add"], .add-to-cart, [itemprop="price"]' },
+    { id: 'product_ai_html', type: 'product', weight: 0.5, utm: true, urlRegex: '\\.html($|\\?)' },
+    { id: 'product_not_listing', type: 'product', weight: 0.4, negative: true, jsonLd: 'ItemList' }
+  ];
+  
+  /**
+   * Ingebouwde extractor bronnen per veld (in volgorde)
+   * kind: 'text' | 'amount' (positief bedrag) | 'orderId'
+   */
+  const BUILTIN_EXTRACTORS = {
+    product_id: {
+      kind: 'text',
+      sources: [
+        { id: 'utm_content', type: 'param', name: 'utm_content' },
+        { id: 'url_path', type: 'path', pattern: '/product/([^/]+?)(?:\\.html)?(?:/|$)' },
+        { id: 'data_attribute', type: 'selector', selector: '[data-product-id]', attribute: 'data-product-id' },
+        { id: 'meta', type: 'meta', name: 'product:id' },
+        { id: 'json_ld', type: 'jsonLd', entity: ['Product', 'ProductGroup'], path: ['sku', 'productID', 'mpn'] }
+      ]
+    },
+    product_title: {
+      kind: 'text',
+      sources: [
+        { id: 'og_title', type: 'meta', name: 'og:title' },
+        { id: 'h1', type: 'selector', selector: 'h1.product-title, h1[data-product-title]' },
+        { id: 'data_attribute', type: 'selector', selector: '[data-product-title]', attribute: 'data-product-title' },
+        { id: 'json_ld', type: 'jsonLd', entity: ['Product', 'ProductGroup'], path: 'name' },
+        { id: 'document_title', type: 'documentTitle', strip: '^Kunstpakket$|\\s*[-|]\\s*Kunstpakket.*$' }
+      ]
+    },
+    product_price: {
+      kind: 'amount',
+      sources: [
+        { id: 'url_param', type: 'param', name: 'price' },
+        { id: 'data_attribute', type: 'selector', selector: '[data-product-price]', attribute: 'data-product-price' },
+        { id: 'meta', type: 'meta', name: 'product:price:amount', currency: 'product:price:currency' },
+        { id: 'json_ld', type: 'jsonLd', entity: ['Product', 'ProductGroup'], path: ['offers.price', 'offers.lowPrice', 'offers.priceSpecification'], priceCurrency: true },
+        { id: 'dom_text', type: 'money', selector: '[class*="price"], [itemprop="price"]', roles: ['sale', 'price'] }
+      ]
+    },
+    order_total: {
+      kind: 'amount',
+      sources: [
+        { id: 'url_param', type: 'param', name: 'price' },
+        { id: 'data_attribute', type: 'selector', selector: '[data-order-total]', attribute: 'data-order-total' },
+        { id: 'dom_text', type: 'money', selector: '[class*="price"], [class*="total"], [id*="total"], [class*="amount"]', roles: ['total', 'subtotal', 'price'] },
+        { id: 'window_order_total', type: 'js', path: 'orderTotal' },
+        { id: 'window_order', type: 'js', path: 'order.total' },
+        { id: 'json_ld', type: 'jsonLd', entity: ['Order', 'Invoice'], path: ['totalPrice', 'price', 'partOfInvoice.totalPaymentDue', 'totalPaymentDue'], priceCurrency: true }
+      ]
+    },
+    order_id: {
+      kind: 'orderId',
+      sources: [
+        { id: 'url_param', type: 'param', names: ['order_id', 'orderId', 'order_number', 'orderNumber', 'ordernumber', 'ordernr', 'bestelnummer', 'order'] },
+        { id: 'data_attribute', type: 'selector', selector: '[data-order-id], [data-order-number]', attribute: ['data-order-id', 'data-order-number'] },
+        { id: 'json_ld', type: 'jsonLd', entity: 'Order', path: 'orderNumber' },
+        { id: 'window_order', type: 'js', path: ['order.id', 'order.number', 'order.orderNumber', 'order.order_number'] }
+      ]
     }
-    
-    // Optie 5: Uit JSON-LD structured data
-    try {
-      const jsonLd = document.querySelector('script[type="application/ld+json"]');
-      if (jsonLd) {
-        const data = JSON.parse(jsonLd.textContent);
-        if (data.totalPrice) {
-          const value = parseFloat(data.totalPrice);
-          if (!isNaN(value) && value > 0) return value;
-        }
-        if (data.price) {
-          const value = parseFloat(data.price);
-          if (!isNaN(value) && value > 0) return value;
-        }
-      }
-    } catch (e) {
-      // Ignore
+  };
+  
+  /**
+   * Versie van het event formaat, meegestuurd als `schema_version` in elk event
+   * Ophogen bij breaking changes in de payloads zodat de API oude en nieuwe widgets uit elkaar kan houden.
+   */
+  const EVENT_SCHEMA_VERSION = 1;
+  
+  /**
+   * Schemas voor custom events (track)
+   * required: verplichte properties, properties: property → type ('string' | 'number' | 'boolean' | 'array')
+   * Properties zonder schema mogen ook, zolang het een string, number, boolean, null of array daarvan is.
+   */
+  const EVENT_SCHEMAS = {
+    newsletter_signup: {
+      required: [],
+      properties: { source: 'string', list: 'string' }
+    },
+    wishlist_add: {
+      required: ['product_id'],
+      properties: { product_id: 'string', product_title: 'string', price: 'number', currency: 'string' }
+    },
+    gift_wrap_selected: {
+      required: ['option'],
+      properties: { option: 'string', price: 'number', product_id: 'string' }
     }
-    
-    return null;
+  };
+  
+  // Events die de widget zelf verstuurt: niet via track()
+  const RESERVED_EVENTS = [
+    'view', 'purchase', 'exposure', 'banner_impression', 'banner_click', 'banner_dismiss',
+    'chat_open', 'chat_open_product', 'content_rejected', 'engagement',
+    'add_to_cart', 'cart_view', 'checkout_step'
+  ];
+  
+  /**
+   * Verwijder null / undefined velden (GA4 en Meta tellen null anders als waarde)
+   */
+  function compact(object) {
+    const result = {};
+    Object.keys(object).forEach(key => {
+      if (object[key] !== null && object[key] !== undefined) result[key] = object[key];
+    });
+    return result;
   }
   
   /**
-   * Check of we op een product pagina zijn
+   * GA4 ecommerce object voor een view of purchase payload
+   * Zonder order regels wordt het (opgeslagen) product als enige regel gebruikt.
    */
-  function isProductPage() {
-    const path = window.location.pathname.toLowerCase();
-    return path.includes('/product/') ||
-           (path.match(/\/[^\/]+\.html$/) && hasUTMParameters());
+  function toEcommerce(payload) {
+    if (payload.event === 'view') {
+      return compact({
+        currency: payload.currency,
+        value: payload.product_price,
+        items: [compact({ item_id: payload.product_id, item_name: payload.product_title, price: payload.product_price, quantity: 1 })]
+      });
+    }
+    
+    const items = payload.items && payload.items.length > 0
+      ? payload.items.map(item => compact({
+        item_id: item.id,
+        item_name: item.title,
+        item_category: item.category,
+        price: item.unit_price,
+        quantity: item.quantity
+      }))
+      : [compact({ item_id: payload.product_id, item_name: payload.product_title, price: payload.order_total, quantity: 1 })];
+    
+    return compact({
+      transaction_id: payload.order_id,
+      currency: payload.currency,
+      value: payload.order_total,
+      shipping: payload.shipping,
+      tax: payload.tax,
+      items: items
+    });
   }
   
   /**
-   * Check of er UTM parameters in de URL staan
+   * Campagne van de last touch als losse parameters (voor custom dimensions)
    */
-  function hasUTMParameters() {
-    const urlParams = new URLSearchParams(window.location.search);
-    // Alleen checken op utm_source=bluestars-ai-site
-    return urlParams.get('utm_source') === 'bluestars-ai-site';
+  function campaignParams(payload) {
+    const touch = payload.campaign && payload.campaign.last_touch;
+    return touch ? compact({ kp_source: touch.source, kp_medium: touch.medium, kp_campaign: touch.campaign }) : {};
   }
   
+  // Standaard Meta Pixel events (andere namen gaan via trackCustom)
+  const META_STANDARD_EVENTS = [
+    'AddPaymentInfo', 'AddToCart', 'AddToWishlist', 'CompleteRegistration', 'Contact', 'InitiateCheckout',
+    'Lead', 'Purchase', 'Search', 'Subscribe', 'ViewContent'
+  ];
+  
   /**
-   * Check of we op thank you pagina zijn
+   * Destination adapters
+   * send(name, payload, settings) → false als de tool niet op de pagina staat
    */
-  function isThankYouPage() {
-    const url = window.location.href.toLowerCase();
-
-    // Als de URL 'thankyou' bevat, beschouw het als valide thank you pagina
-    if (url.includes('thankyou')) {
-      return true;
+  const DESTINATION_ADAPTERS = {
+    ga4: {
+      send(name, payload, settings) {
+        if (typeof window.gtag !== 'function') return false;
+        
+        let params = { ...(payload.properties || {}) };
+        if (payload.event === 'view') {
+          // page_location en source zoals het oorspronkelijke ai_chatbot_visit event
+          const touch = payload.campaign && payload.campaign.last_touch;
+          params = {
+            ...compact({ page_location: payload.product_url, source: touch && touch.source }),
+            ...toEcommerce(payload),
+            ...campaignParams(payload)
+          };
+        } else if (payload.event === 'purchase') {
+          params = { ...toEcommerce(payload), ...campaignParams(payload) };
+        }
+        if (settings.sendTo) params.send_to = settings.sendTo;
+        
+        window.gtag('event', name, params);
+        return true;
+      }
+    },
+    gtm: {
+      send(name, payload, settings) {
+        const dataLayer = window[settings.dataLayer] = window[settings.dataLayer] || [];
+        const base = { event: name, kp_event_id: payload.event_id, kp_destination: true };
+        
+        if (['view', 'purchase'].includes(payload.event)) {
+          dataLayer.push({ ecommerce: null });  // Vorige ecommerce data wissen (GTM advies)
+          dataLayer.push({ ...base, ...campaignParams(payload), ecommerce: toEcommerce(payload) });
+        } else {
+          dataLayer.push({ ...base, ...(payload.properties || {}) });
+        }
+        return true;
+      }
+    },
+    metaPixel: {
+      send(name, payload) {
+        if (typeof window.fbq !== 'function') return false;
+        
+        let params = { ...(payload.properties || {}) };
+        if (payload.event === 'view') {
+          params = compact({
+            content_ids: payload.product_id ? [payload.product_id] : null,
+            content_name: payload.product_title,
+            content_type: 'product',
+            value: payload.product_price,
+            currency: payload.currency
+          });
+        } else if (payload.event === 'purchase') {
+          const ecommerce = toEcommerce(payload);
+          params = compact({
+            content_ids: ecommerce.items.map(item => item.item_id).filter(Boolean),
+            contents: ecommerce.items.map(item => compact({ id: item.item_id, quantity: item.quantity, item_price: item.price })),
+            content_type: 'product',
+            num_items: ecommerce.items.reduce((sum, item) => sum + (item.quantity || 1), 0),
+            value: payload.order_total,
+            currency: payload.currency
+          });
+        }
+        
+        // eventID: deduplicatie met de Conversions API
+        window.fbq(META_STANDARD_EVENTS.includes(name) ? 'track' : 'trackCustom', name, params, { eventID: payload.event_id });
+        return true;
+      }
     }
-
-    const path = window.location.pathname.toLowerCase();
-    const search = window.location.search.toLowerCase();
-    const title = document.title.toLowerCase();
-
-    return path.includes('/thank-you') ||
-           path.includes('/bedankt') ||
-           path.includes('/order-success') ||
-           path.includes('/bestelling-bevestigd') ||
-           search.includes('order=success') ||
-           search.includes('status=success') ||
-           search.includes('bedankt') ||
-           title.includes('bedankt') ||
-           title.includes('thank you') ||
-           document.querySelector('[data-thank-you-page]') !== null;
-  }
+  };
   
   /**
-   * Extract product price uit URL of pagina
+   * Controleer een custom event tegen zijn schema
+   * 
+   * @param {string} name - Event naam (snake_case)
+   * @param {Object} properties - Event properties
+   * @param {Object|null} schema - Schema uit EVENT_SCHEMAS / events.schemas
+   * @returns {string[]} Fouten (leeg = geldig)
    */
-  function extractProductPrice() {
-    // Optie 1: Uit URL parameter 'price' (aanbevolen)
-    const urlParams = new URLSearchParams(window.location.search);
-    const priceParam = urlParams.get('price');
-    if (priceParam) {
-      const value = parseFloat(priceParam);
-      if (!isNaN(value) && value > 0) return value;
+  function validateEventProperties(name, properties, schema) {
+    const errors = [];
+    const isScalar = (value) => value === null || ['string', 'boolean'].includes(typeof value) ||
+      (typeof value === 'number' && isFinite(value));
+    
+    if (!/^[a-z][a-z0-9_]{1,49}$/.test(name)) {
+      return ['event name must be snake_case (a-z, 0-9, _; max 50)'];
+    }
+    if (RESERVED_EVENTS.includes(name)) {
+      return [`event name "${name}" is reserved`];
+    }
+    if (!isPlainObject(properties)) {
+      return ['properties must be an object'];
     }
     
-    // Optie 2: Uit data attribute
-    const priceEl = document.querySelector('[data-product-price]');
-    if (priceEl) {
-      const value = parseFloat(priceEl.getAttribute('data-product-price'));
-      if (!isNaN(value) && value > 0) return value;
+    const keys = Object.keys(properties);
+    if (keys.length > 50) {
+      errors.push('max 50 properties');
     }
     
-    // Optie 3: Uit prijs elementen in DOM
-    const priceElements = document.querySelectorAll('[class*="price"]:not([class*="total"])');
-    for (const el of priceElements) {
-      const text = el.textContent || el.innerText;
-      const match = text.match(/€?\s*(\d+[.,]\d{2})/);
-      if (match) {
-        const value = parseFloat(match[1].replace(',', '.'));
-        if (!isNaN(value) && value > 0) return value;
+    const types = schema && isPlainObject(schema.properties) ? schema.properties : {};
+    const required = schema && Array.isArray(schema.required) ? schema.required : [];
+    
+    required.forEach(key => {
+      if (properties[key] === undefined || properties[key] === null || properties[key] === '') {
+        errors.push(`missing required property "${key}"`);
       }
-    }
+    });
+    
+    keys.forEach(key => {
+      const value = properties[key];
+      if (value === undefined) return;
+      
+      const valid = Array.isArray(value) ? value.every(isScalar) : isScalar(value);
+      if (!valid) {
+        errors.push(`property "${key}" must be a string, number, boolean, null or array of those`);
+        return;
+      }
+      
+      const type = types[key];
+      const actual = Array.isArray(value) ? 'array' : typeof value;
+      if (type && value !== null && actual !== type) {
+        errors.push(`property "${key}" must be of type ${type}`);
+      }
+    });
     
-    return null;
+    return errors;
   }
-
+  
   /**
-   * Sla product view info op in localStorage
+   * Safe injection allowlist
+   * aria-* en data-* attributes zijn altijd toegestaan, on* handlers, BLOCKED_TAGS en BLOCKED_ATTRIBUTES nooit.
+   * id / name zijn geblokkeerd: ze maken globals aan (DOM clobbering), bijv. window.order waar de extractors naar kijken.
    */
-  function saveProductViewInfo() {
-    const productId = extractProductId();
-    const productUrl = window.location.href;
-    const productTitle = extractProductTitle();
-    const productPrice = extractProductPrice(); // Extract price from URL or DOM
-
-    // Sla op in localStorage voor purchase tracking
-    try {
-      localStorage.setItem('kp_product_id', productId || '');
-      localStorage.setItem('kp_product_url', productUrl || '');
-      localStorage.setItem('kp_product_title', productTitle || '');
-      localStorage.setItem('kp_product_price', productPrice ? productPrice.toString() : '');
-      localStorage.setItem('kp_view_timestamp', Date.now().toString());
-    } catch (e) {
-      console.warn('[KP Analytics] Failed to save to localStorage:', e);
-    }
-  }
+  const SAFE_TAGS = [
+    'div', 'span', 'p', 'a', 'b', 'strong', 'i', 'em', 'u', 's', 'small', 'br', 'hr', 'ul', 'ol', 'li',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'picture', 'figure', 'figcaption', 'blockquote', 'button'
+  ];
+  const SAFE_ATTRIBUTES = ['class', 'title', 'alt', 'href', 'src', 'width', 'height', 'loading', 'target', 'rel', 'type', 'role', 'tabindex', 'lang', 'dir'];
+  const BLOCKED_TAGS = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'link', 'meta', 'base', 'form', 'input', 'textarea', 'select', 'template', 'svg', 'math'];
+  const BLOCKED_ATTRIBUTES = ['id', 'name'];
+  const URL_ATTRIBUTES = ['href', 'src'];
   
   /**
-   * Track product page view
-   * Alleen als er UTM parameters in de URL staan!
+   * Safe injection: hostStyle mag alleen de ruimte rond de content aanpassen (geen display, position,
+   * background, ...) en geen externe resources laden. Zelfde check als voor `css`.
    */
-  function trackProductView() {
-    // Alleen tracken als er UTM parameters zijn
-    if (!hasUTMParameters()) {
-      return;
-    }
-
-    // Prevent double tracking
-    if (window.productViewTracked) return;
-
-    const productId = extractProductId();
-    const productUrl = window.location.href;
-    const productTitle = extractProductTitle();
-    const productPrice = extractProductPrice();
-
-    // Track view event
-    trackEvent({
-      event: 'view',
-      product_id: productId,
-      product_url: productUrl,
-      product_title: productTitle,
-      product_price: productPrice
-    });
-
-    // Stuur ook naar Google Analytics (alleen URL en source)
-    if (typeof gtag !== 'undefined') {
-      const urlParams = new URLSearchParams(window.location.search);
-      const utmSource = urlParams.get('utm_source') || 'bluestars-ai-site';
+  const SAFE_HOST_STYLES = [
+    'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+    'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+    'min-height', 'text-align'
+  ];
+  const UNSAFE_CSS = /@import|url\s*\(|expression\s*\(/i;
+  
+  /**
+   * Sanitize een geparste fragment in place (allowlist); geweigerde onderdelen komen in rejected
+   * 
+   * @param {DocumentFragment} fragment - Inert geparste HTML (template.content)
+   * @param {Object} allow - { tags: [], attributes: [] } extra toegestaan via config
+   * @param {string[]} rejected - Wordt aangevuld met bijv. 'tag:script', 'attribute:a@onclick', 'url:a@href'
+   */
+  function sanitizeFragment(fragment, allow, rejected) {
+    const tags = SAFE_TAGS.concat(allow.tags).filter(tag => !BLOCKED_TAGS.includes(tag));
+    const attributes = SAFE_ATTRIBUTES.concat(allow.attributes).filter(name => !BLOCKED_ATTRIBUTES.includes(name));
+    
+    Array.from(fragment.querySelectorAll('*')).forEach(el => {
+      if (!fragment.contains(el)) return;  // Zat in een al verwijderd element
+      
+      const tag = el.tagName.toLowerCase();
+      if (!tags.includes(tag)) {
+        rejected.push(`tag:${tag}`);
+        el.remove();
+        return;
+      }
       
-      gtag('event', 'ai_chatbot_visit', {
-        page_location: productUrl,  // URL
-        source: utmSource           // Source (utm_source)
+      Array.from(el.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        const allowed = !name.startsWith('on') &&
+          (attributes.includes(name) || name.startsWith('aria-') || name.startsWith('data-'));
+        
+        if (!allowed) {
+          rejected.push(`attribute:${tag}@${name}`);
+          el.removeAttribute(attribute.name);
+        } else if (URL_ATTRIBUTES.includes(name) && !/^(https?:|mailto:|tel:|[^:]*$)/i.test(attribute.value.replace(/[\s\u0000-\u001f]/g, ''))) {
+          rejected.push(`url:${tag}@${name}`);
+          el.removeAttribute(attribute.name);
+        }
       });
       
-      console.log('[KP Analytics] ✅ Sent to Google Analytics:', { url: productUrl, source: utmSource });
-    }
-
-    // Sla info op in localStorage voor purchase tracking
-    saveProductViewInfo();
-
-    window.productViewTracked = true;
+      if (tag === 'a' && el.getAttribute('target') === '_blank') {
+        el.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+    
+    return fragment;
   }
   
   /**
-   * Haal product info op uit localStorage
+   * Beperk CSS tot de geïnjecteerde content: elke selector krijgt de scope ervoor
+   * (`:root`, `html`, `body` en `:host` worden de scope zelf). @media / @supports worden
+   * gevolgd, andere at-rules (behalve @keyframes en @font-face) geweigerd.
+   * 
+   * @param {string} css - CSS uit een content rule
+   * @param {string} scope - Selector van de wrapper, bijv. '[data-kp-injected="kp-inject-..."]'
+   * @param {string[]} rejected - Wordt aangevuld met bijv. 'css:at-rule'
+   * @returns {string} Scoped CSS ('' als de CSS niet geparst kan worden)
    */
-  function getStoredProductInfo() {
+  function scopeCss(css, scope, rejected) {
+    // Parsen in een losse stylesheet (of een los document): heeft geen effect op de pagina
+    let sheet = null;
     try {
-      const productId = localStorage.getItem('kp_product_id') || null;
-      const productUrl = localStorage.getItem('kp_product_url') || null;
-      const productTitle = localStorage.getItem('kp_product_title') || null; // NIEUW!
-      const viewTimestamp = localStorage.getItem('kp_view_timestamp');
-
-      // Check of view info niet ouder is dan 7 dagen
-      if (viewTimestamp) {
-        const viewTime = parseInt(viewTimestamp);
-        const daysSinceView = (Date.now() - viewTime) / (1000 * 60 * 60 * 24);
-        if (daysSinceView > 7) {
-          // Te oud, verwijder
-          clearStoredProductInfo();
-          return null;
-        }
+      if (typeof CSSStyleSheet === 'function' && typeof CSSStyleSheet.prototype.replaceSync === 'function') {
+        sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+      } else {
+        const style = document.implementation.createHTMLDocument('').createElement('style');
+        style.textContent = css;
+        style.ownerDocument.head.appendChild(style);
+        sheet = style.sheet;
       }
-
-      const productPrice = localStorage.getItem('kp_product_price');
-      
-      return {
-        product_id: productId,
-        product_url: productUrl,
-        product_title: productTitle,
-        product_price: productPrice ? parseFloat(productPrice) : null
-      };
     } catch (e) {
-      console.warn('[KP Analytics] Failed to read from localStorage:', e);
-      return null;
+      sheet = null;
+    }
+    if (!sheet) {
+      rejected.push('css:unparsable');
+      return '';
     }
+    
+    const scopeSelector = (selector) => selector
+      .split(/,(?![^(]*\))/)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => /^(:root|html|body|:host)\b/.test(part)
+        ? part.replace(/^(:root|html|body|:host)(\([^)]*\))?/, scope)
+        : `${scope} ${part}`)
+      .join(', ');
+    
+    // CSSRule types: 1 = style, 4 = @media, 5 = @font-face, 7 = @keyframes, 12 = @supports
+    const scopeRules = (rules) => Array.from(rules).map(rule => {
+      if (rule.type === 1) {
+        return `${scopeSelector(rule.selectorText)} { ${rule.style.cssText} }`;
+      }
+      if (rule.type === 4 || rule.type === 12) {
+        return `${rule.cssText.slice(0, rule.cssText.indexOf('{')).trim()} { ${scopeRules(rule.cssRules)} }`;
+      }
+      if (rule.type === 5 || rule.type === 7) {
+        return rule.cssText;
+      }
+      rejected.push('css:at-rule');
+      return '';
+    }).join('\n');
+    
+    return scopeRules(sheet.cssRules);
   }
   
   /**
-   * Verwijder opgeslagen product info
+   * Valuta symbolen en ISO codes die in prijsteksten herkend worden
    */
-  function clearStoredProductInfo() {
-    try {
-      localStorage.removeItem('kp_product_id');
-      localStorage.removeItem('kp_product_url');
-      localStorage.removeItem('kp_product_title');
-      localStorage.removeItem('kp_product_price');
-      localStorage.removeItem('kp_view_timestamp');
-    } catch (e) {
-      // Ignore
-    }
-  }
+  const CURRENCY_SYMBOLS = { '€': 'EUR', '£': 'GBP', '$': 'USD' };
+  const CURRENCY_CODES = ['EUR', 'USD', 'GBP', 'CHF', 'DKK', 'SEK', 'NOK', 'PLN', 'CZK', 'CAD', 'AUD'];
   
   /**
-   * Track purchase (thank you page)
-   * Gebruikt opgeslagen info uit localStorage
+   * Herkenning van de rol van een prijs element (in deze volgorde getest)
+   * attr: class / id / itemprop van het element of een voorouder
+   * label: tekst naast het bedrag, bijv. "Verzendkosten" in dezelfde tabelrij
    */
-  function trackPurchase() {
-    // Prevent double tracking
-    if (window.purchaseTracked) return;
-    window.purchaseTracked = true;
-    
-    // Haal product info op uit localStorage (van product view)
-    const storedInfo = getStoredProductInfo();
+  const PRICE_ROLES = [
+    {
+      role: 'old',
+      attr: /(old|was|original|regular|compare(-at)?|list|retail)[-_]?price|price[-_]?(old|was|original|regular)|strike|van-?prijs|advies-?prijs|oude-?prijs|streichpreis|\buvp\b/i,
+      label: /^(van|was|adviesprijs|oude prijs|statt|uvp)\b/i
+    },
+    { role: 'shipping', attr: /shipping|verzend|bezorg|delivery|versand/i, label: /shipping|verzend|bezorg|delivery|versand/i },
+    { role: 'subtotal', attr: /sub-?tota|zwischensumme/i, label: /sub-?tota|zwischensumme/i },
+    { role: 'total', attr: /total|totaal|gesamt|grand/i, label: /total|totaal|gesamt|te betalen/i },
+    { role: 'sale', attr: /sale|special|actie|aanbieding|final|current|new-?price|sonderpreis/i, label: /^(nu|now|sale|actie|jetzt)\b/i }
+  ];
+  
+  /**
+   * Valuta uit een tekst (symbool of ISO code), of null
+   */
+  function detectCurrency(text) {
+    const code = String(text).match(new RegExp(`\\b(${CURRENCY_CODES.join('|')})\\b`, 'i'));
+    if (code) return code[1].toUpperCase();
+    if (/\beuro?s?\b/i.test(text)) return 'EUR';
     
-    // Extract order_total (productprijs/orderwaarde) - VERPLICHT
-    // Probeer eerst van thank you pagina, anders van stored product_price
-    let orderTotal = extractOrderTotal();
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(sym => String(text).includes(sym));
+    return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+  }
+  
+  /**
+   * Staat er een valuta symbool of ISO code direct voor of achter een bedrag (regex match)?
+   */
+  function hasCurrencyNextTo(text, match) {
+    const currency = `(?:[€£$]|\\b(?:${CURRENCY_CODES.join('|')}|euros?)\\b)`;
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    return new RegExp(`${currency}\\s*-?\\s*$`, 'i').test(before) || new RegExp(`^\\s*${currency}`, 'i').test(after);
+  }
+  
+  /**
+   * Parse een geldbedrag naar { amount, currency }, of null
+   * 
+   * Tekst in nl-NL / de-DE / en notatie: "€ 1.299,00", "1,299.00", "€ 99,-", "EUR 99", "1 299,00 €".
+   * Eén scheidingsteken met precies 3 cijfers erna is een duizendtal ("€ 1.299" = 1299).
+   * Bij meerdere getallen wint het bedrag met valuta of decimalen: "Totaal (2 artikelen): € 99,00" = 99.
+   * structured = true voor machine data (JSON-LD, dataLayer, data attributes): "12.345" blijft 12.345.
+   */
+  function parseMoney(value, structured) {
+    if (value === null || value === undefined || value === '') return null;
     
-    // Fallback: gebruik product_price uit localStorage (van product view)
-    if (!orderTotal && storedInfo?.product_price) {
-      orderTotal = storedInfo.product_price;
-      console.log('[KP Analytics] Using product_price from localStorage as order_total:', orderTotal);
+    if (typeof value === 'number') {
+      return isFinite(value) ? { amount: value, currency: null } : null;
     }
     
-    // ⚠️ KRITIEK: Stop als order_total ontbreekt
-    if (!orderTotal || orderTotal <= 0) {
-      console.error('[KP Analytics] ❌ Order total not found or invalid:', orderTotal);
-      console.warn('[KP Analytics] Purchase not tracked - order_total is required');
-      window.purchaseTracked = false; // Reset zodat we kunnen retry
-      return;
+    if (typeof value === 'object') {
+      // schema.org PriceSpecification / MonetaryAmount
+      const money = parseMoney(value.price !== undefined ? value.price : value.value, true);
+      if (money) {
+        money.currency = detectCurrency(value.priceCurrency || value.currency || '') || money.currency;
+      }
+      return money;
     }
     
-    // Bereken revenue (voor Bluestars) - VERPLICHT
-    const revenue = 10.00;
+    const text = String(value).replace(/\u00a0/g, ' ').trim();
+    if (structured && /^-?\d+(\.\d+)?$/.test(text)) {
+      return { amount: parseFloat(text), currency: null };
+    }
     
-    // Gebruik opgeslagen info, of fallback naar huidige pagina
-    const productId = storedInfo?.product_id || extractProductId();
-    const productUrl = storedInfo?.product_url || window.location.href;
-    const productTitle = storedInfo?.product_title || extractProductTitle();
-
-    console.log('[KP Analytics] 📦 Tracking purchase:', {
-      product_id: productId,
-      product_title: productTitle,
-      order_total: orderTotal,
-      revenue: revenue
-    });
+    // Eerste bedrag naast een valuta of met decimalen / ",-"; een kaal getal ("2 artikelen") alleen als er niets anders is
+    const matches = Array.from(text.matchAll(/(\d{1,3}(?:([.,' ])\d{3})(?:\2\d{3})*|\d+)(?:([.,])(\d{1,2}|-{1,2}|–))?(?!\d)/g));
+    if (matches.length === 0) return null;
+    const match = matches.find(candidate => candidate[4] || hasCurrencyNextTo(text, candidate)) || matches[0];
     
-    // Track purchase event
-    trackEvent({
-      event: 'purchase',
-      product_id: productId,
-      product_url: productUrl,
-      product_title: productTitle,
-      order_total: orderTotal,  // VERPLICHT: Productprijs/orderwaarde
-      revenue: revenue          // VERPLICHT: Revenue voor Bluestars
-    });
+    const integer = match[1].replace(/[.,' ]/g, '');
+    const decimals = match[4] && /^\d+$/.test(match[4]) ? match[4] : '0';
+    const negative = /-\s*(?:[€£$]|[A-Za-z]{3})?\s*$/.test(text.slice(0, match.index));
+    const amount = parseFloat(`${integer}.${decimals}`) * (negative ? -1 : 1);
     
-    // Verwijder opgeslagen info na purchase
-    clearStoredProductInfo();
+    return { amount: amount, currency: detectCurrency(text) };
   }
   
   /**
-   * Injecteer AI banner in .container-bar
-   * LOS VAN ANALYTICS - Banner wordt alleen getoond als feature flag actief is
+   * Rol van een prijs element in de pagina: 'old' | 'shipping' | 'subtotal' | 'total' | 'sale' | 'price'
+   * Kijkt naar het element en maximaal 3 voorouders (doorgestreept, class/id, label ernaast).
    */
-  function injectAIBanner() {
-    // Check feature flag
-    if (!isFeatureEnabled()) {
-      return;
+  function getPriceRole(el) {
+    let node = el;
+    for (let depth = 0; node && node.nodeType === 1 && depth < 4; depth++, node = node.parentElement) {
+      if (/^(DEL|S|STRIKE)$/.test(node.tagName)) return 'old';
+      
+      const style = window.getComputedStyle ? window.getComputedStyle(node) : null;
+      if (style && /line-through/.test(style.textDecorationLine || style.textDecoration || '')) return 'old';
+      
+      const attrs = [
+        typeof node.className === 'string' ? node.className : '',
+        node.id,
+        node.getAttribute('itemprop') || ''
+      ].join(' ');
+      
+      // Label = tekst van de ouder zonder het bedrag zelf (alleen korte labels zonder cijfers)
+      let label = '';
+      if (depth === 1) {
+        label = (node.textContent || '').replace(el.textContent || '', '').trim();
+        if (label.length > 40 || /\d/.test(label)) label = '';
+      }
+      
+      const match = PRICE_ROLES.find(rule => rule.attr.test(attrs) || (label && rule.label.test(label)));
+      if (match) return match.role;
     }
-    const aiBannerHTML = `
-      <div class="kp-ai-banner">
-        <div class="kp-ai-banner-content">
-          <span class="kp-ai-text">Cadeautips van Frederique AI</span>
-        </div>
-      </div>
-    `;
-    
-    const aiBannerCSS = `
-      .container-bar {
-        padding: 0 !important;
-      }
-      
-      .kp-ai-banner {
-        position: relative !important;
-        margin: 15px 0 !important;
-        padding: 0 !important;
-        border-radius: 12px !important;
-        background: transparent !important;
-        box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1) !important;
-        display: block !important;
-        visibility: visible !important;
-        opacity: 1 !important;
-        z-index: 9999 !important;
-        width: 100% !important;
-        box-sizing: border-box !important;
-      }
-      
-      .kp-ai-banner::before {
-        content: '' !important;
-        position: absolute !important;
-        inset: 0 !important;
-        border-radius: 12px !important;
-        padding: 1px !important;
-        background: linear-gradient(90deg, 
-          #ff0080, #ff8c00, #ffd700, #32cd32, #00ced1, #1e90ff, #8a2be2, #ff0080, #ff8c00, #ffd700, #32cd32, #00ced1, #1e90ff, #8a2be2, #ff0080
-        ) !important;
-        background-size: 400% 100% !important;
-        animation: kp-rainbow-border 3s linear infinite !important;
-        -webkit-mask: 
-          linear-gradient(#fff 0 0) content-box, 
-          linear-gradient(#fff 0 0) !important;
-        -webkit-mask-composite: xor !important;
-        mask-composite: exclude !important;
-        z-index: 0 !important;
-      }
-      
-      [data-kp-injected="kp-injected--container-bar"] {
-        padding: 15px !important;
-      }
-      
-      @keyframes kp-rainbow-border {
-        0% { 
-          background-position: 0% 0%;
-        }
-        100% { 
-          background-position: 100% 0%;
-        }
-      }
-      
-      .kp-ai-banner-content {
-        background: white !important;
-        border-radius: 11px !important;
-        padding: 14px !important;
-        display: flex !important;
-        align-items: center !important;
-        justify-content: center !important;
-        gap: 12px !important;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif !important;
-        position: relative !important;
-        z-index: 1 !important;
-      }
-      
-      .kp-ai-text {
-        font-size: 16px !important;
-        font-weight: normal !important;
-        color: #333 !important;
-        line-height: 1.4 !important;
-        text-align: center !important;
-      }
-      
-      .kp-ai-link {
-        color: #0066cc !important;
-        text-decoration: none !important;
-        font-weight: 700 !important;
-        transition: all 0.3s ease !important;
-        border-bottom: 2px solid transparent !important;
-      }
-      
-      .kp-ai-link:hover {
-        color: #0052a3 !important;
-        border-bottom-color: #0052a3 !important;
-        transform: translateY(-1px) !important;
-      }
-      
-      .kp-ai-link:active {
-        transform: translateY(0) !important;
-      }
-    `;
-    
-    injectContent('.container-bar', aiBannerHTML, aiBannerCSS);
+    return 'price';
   }
   
   /**
-   * Content Injection - Simple & Custom
-   * Injecteert HTML, CSS en JavaScript in een element
+   * data-* attributes op de script tag → config key
    * 
-   * @param {string} selector - CSS selector waar content geïnjecteerd wordt (bijv. '#x', '.class')
-   * @param {string} html - HTML content (optioneel)
-   * @param {string} css - CSS styling (optioneel)
-   * @param {string} js - JavaScript code (optioneel)
-   * @param {number} retries - Aantal keer proberen als element niet gevonden wordt (default: 10)
-   */
-  function injectContent(selector, html, css, js, retries = 10) {
-    // Check feature flag
-    if (!isFeatureEnabled()) {
-      console.log('[KP Analytics] ⏸️ Content injection disabled - add ?f=1 to URL to enable');
-      return;
-    }
-    const tryInject = (attempt = 0) => {
-      const element = document.querySelector(selector);
-      
-      if (!element) {
-        if (attempt < retries) {
-          setTimeout(() => tryInject(attempt + 1), 500);
-          return;
-        }
-        return;
+   * Voorbeeld:
+   * <script src="widget.js" data-client-id="andereshop.nl" data-banner-selector="#header"></script>
+   */
+  const DATA_ATTRIBUTES = {
+    'client-id': 'clientId',
+    'api-url': 'apiUrl',
+    'utm-source': 'utmSource',
+    'banner-selector': 'bannerSelector',
+    'storage-prefix': 'storagePrefix',
+    'content-source': 'content.source',
+    'content-api-url': 'content.apiUrl',
+    'attribution-model': 'attribution.model',
+    'attribution-window-days': 'attribution.windowDays'
+  };
+  
+  // Config secties met vrije keys (eigen validatie)
+  const FREEFORM_CONFIG_KEYS = [
+    'flags', 'events.schemas', 'pages.thresholds',
+    'destinations.ga4.events', 'destinations.gtm.events', 'destinations.metaPixel.events'
+  ];
+  
+  // Toegestane waardes voor enum config keys
+  const CONFIG_ENUMS = {
+    'content.source': ['api', 'local'],
+    'attribution.model': ['last_touch', 'first_touch', 'all_touched']
+  };
+  
+  /**
+   * Check of een waarde een gewoon object is (geen array / null)
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  /**
+   * Deep merge van config objecten (arrays en functies worden vervangen, niet gemerged)
+   */
+  function mergeConfig(base, override) {
+    const result = {};
+    Object.keys(base).forEach(key => {
+      result[key] = isPlainObject(base[key]) ? mergeConfig(base[key], {}) : base[key];
+    });
+    Object.keys(override || {}).forEach(key => {
+      result[key] = isPlainObject(override[key]) && isPlainObject(result[key])
+        ? mergeConfig(result[key], override[key])
+        : override[key];
+    });
+    return result;
+  }
+  
+  /**
+   * Valideer config tegen DEFAULT_CONFIG
+   * Ongeldige waardes worden gemeld en vervangen door de default.
+   */
+  function validateConfig(candidate, defaults = DEFAULT_CONFIG, path = '') {
+    const result = {};
+    
+    Object.keys(candidate).forEach(key => {
+      const keyPath = path + key;
+      if (!(key in defaults)) {
+        console.warn('[KP Analytics] Unknown config key ignored:', keyPath);
       }
+    });
+    
+    Object.keys(defaults).forEach(key => {
+      const keyPath = path + key;
+      const fallback = defaults[key];
+      const value = key in candidate ? candidate[key] : fallback;
       
-      // Check of al geïnjecteerd
-      const injectId = `kp-injected-${selector.replace(/[^a-zA-Z0-9]/g, '-')}`;
-      if (element.querySelector(`[data-kp-injected="${injectId}"]`)) {
+      if (FREEFORM_CONFIG_KEYS.includes(keyPath)) {
+        result[key] = isPlainObject(value) ? { ...fallback, ...value } : fallback;
         return;
       }
       
-      // Injecteer HTML
-      if (html) {
-        const wrapper = document.createElement('div');
-        wrapper.setAttribute('data-kp-injected', injectId);
-        wrapper.innerHTML = html;
-        // Injecteer aan het begin van het element (prepend)
-        element.insertBefore(wrapper, element.firstChild);
-      }
-      
-      // Injecteer CSS
-      if (css) {
-        const cssId = `kp-style-${selector.replace(/[^a-zA-Z0-9]/g, '-')}`;
-        let style = document.getElementById(cssId);
-        if (!style) {
-          style = document.createElement('style');
-          style.id = cssId;
-          document.head.appendChild(style);
+      if (isPlainObject(fallback)) {
+        if (!isPlainObject(value)) {
+          console.warn('[KP Analytics] Invalid config value for', keyPath, '- using default');
+          result[key] = validateConfig({}, fallback, keyPath + '.');
+        } else {
+          result[key] = validateConfig(value, fallback, keyPath + '.');
         }
-        style.textContent = css;
+        return;
       }
       
-      // Injecteer JavaScript
-      if (js) {
+      const sameType = Array.isArray(fallback) ? Array.isArray(value) : typeof value === typeof fallback;
+      const validNumber = typeof value !== 'number' || (isFinite(value) && value >= 0);
+      const validEnum = !CONFIG_ENUMS[keyPath] || CONFIG_ENUMS[keyPath].includes(value);
+      
+      if (!sameType || !validNumber || !validEnum) {
+        console.warn('[KP Analytics] Invalid config value for', keyPath, '- using default:', value);
+        result[key] = fallback;
+        return;
+      }
+      result[key] = value;
+    });
+    
+    // URL's en storage prefix
+    if (!path) {
+      ['apiUrl', 'content.apiUrl', 'chat.url'].forEach(keyPath => {
+        const [section, key] = keyPath.includes('.') ? keyPath.split('.') : [null, keyPath];
+        const target = section ? result[section] : result;
+        const fallback = section ? defaults[section][key] : defaults[key];
         try {
-          const script = document.createElement('script');
-          script.textContent = js;
-          document.head.appendChild(script);
-        } catch (err) {
-          console.error('[KP Analytics] JavaScript injection error:', err);
+          const url = new URL(target[key]);
+          if (url.protocol !== 'https:' && url.hostname !== 'localhost') throw new Error('https required');
+        } catch (e) {
+          console.warn('[KP Analytics] Invalid config value for', keyPath, '- using default:', target[key]);
+          target[key] = fallback;
         }
+      });
+      
+      if (!/^[a-zA-Z0-9_]+$/.test(result.storagePrefix)) {
+        console.warn('[KP Analytics] Invalid config value for storagePrefix - using default:', result.storagePrefix);
+        result.storagePrefix = defaults.storagePrefix;
       }
-    };
+      
+      result.flags = validateFlags(result.flags);
+    }
     
-    tryInject();
+    return result;
   }
   
   /**
-   * Initialize tracking
+   * Valideer flag definities; ongeldige flags worden weggelaten
+   * Resultaat: { naam: { rollout, variants: [{ name, weight, payload }] | null } }
    */
-  function init() {
-    console.log(`[KP Analytics] v${VERSION} loaded`);
-    
-    // Track product view
-    if (isProductPage()) {
-      trackProductView();
-    }
+  function validateFlags(flags) {
+    const result = {};
     
-    // Track purchase
-    if (isThankYouPage()) {
-      trackPurchase();
-    }
+    Object.keys(flags).forEach(name => {
+      const flag = flags[name];
+      const rollout = isPlainObject(flag) && flag.rollout !== undefined ? flag.rollout : 100;
+      
+      if (!isPlainObject(flag) || typeof rollout !== 'number' || !(rollout >= 0 && rollout <= 100)) {
+        console.warn('[KP Analytics] Invalid flag ignored:', name);
+        return;
+      }
+      
+      let variants = null;
+      if (flag.variants !== undefined) {
+        variants = isPlainObject(flag.variants) ? Object.keys(flag.variants).map(variant => {
+          const definition = flag.variants[variant];
+          const weight = isPlainObject(definition) ? definition.weight : definition;
+          const payload = isPlainObject(definition) ? { ...definition } : {};
+          delete payload.weight;
+          return { name: variant, weight: weight, payload: payload };
+        }) : [];
+        
+        if (variants.length === 0 || variants.some(v => typeof v.weight !== 'number' || !(v.weight >= 0)) ||
+            variants.every(v => v.weight === 0)) {
+          console.warn('[KP Analytics] Invalid flag variants ignored:', name);
+          return;
+        }
+      }
+      
+      result[name] = { rollout: rollout, variants: variants };
+    });
+    
+    return result;
+  }
+  
+  /**
+   * FNV-1a hash (32 bit) voor sticky bucketing
+   */
+  function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  
+  /**
+   * Lees config uit data-* attributes van de script tag
+   */
+  function readScriptConfig(script) {
+    const config = {};
+    if (!script) return config;
+    
+    Object.keys(DATA_ATTRIBUTES).forEach(attribute => {
+      const raw = script.getAttribute(`data-${attribute}`);
+      if (raw === null) return;
+      
+      const path = DATA_ATTRIBUTES[attribute].split('.');
+      const fallback = path.reduce((obj, key) => obj[key], DEFAULT_CONFIG);
+      const value = typeof fallback === 'number' ? parseFloat(raw) : raw;
+      
+      let target = config;
+      path.slice(0, -1).forEach(key => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+    });
+    
+    return config;
+  }
+  
+  /**
+   * Bepaal embed config: window.KunstpakketAnalyticsConfig + data-* attributes
+   */
+  function resolveEmbedConfig() {
+    const globalConfig = isPlainObject(window.KunstpakketAnalyticsConfig) ? window.KunstpakketAnalyticsConfig : {};
+    return mergeConfig(globalConfig, readScriptConfig(currentScript));
+  }
+  
+  /**
+   * Maak een read-only kopie van de config (functies in content rules blijven behouden)
+   */
+  function freezeConfig(value) {
+    if (Array.isArray(value)) {
+      return Object.freeze(value.map(freezeConfig));
+    }
+    if (isPlainObject(value)) {
+      const copy = {};
+      Object.keys(value).forEach(key => {
+        copy[key] = freezeConfig(value[key]);
+      });
+      return Object.freeze(copy);
+    }
+    return value;
+  }
+  
+  /**
+   * Tracker factory
+   * 
+   * Elke tracker heeft zijn eigen config en state (tracking flags, event queue), zodat meerdere
+   * instances op één pagina kunnen draaien. Gebruik een eigen `storagePrefix` per instance.
+   * 
+   * Voorbeeld:
+   * const tracker = KunstpakketAnalytics.createTracker({ clientId: 'andereshop.nl', storagePrefix: 'as_' });
+   * tracker.start();
+   */
+  function createTracker(options) {
+    const config = validateConfig(mergeConfig(DEFAULT_CONFIG, isPlainObject(options) ? options : {}));
+    
+    // Prefix voor DOM ID's (kp_ → kp-)
+    const cssPrefix = config.storagePrefix.replace(/_/g, '-');
+    
+    // State per tracker instance
+    const state = {
+      started: false,
+      productViewTracked: false,
+      purchaseTracked: false,
+      memoryQueue: [],  // Fallback als localStorage niet beschikbaar is (private mode, quota)
+      isFlushing: false,
+      retryTimer: null,
+      consent: 'pending',   // 'pending' | 'granted' | 'denied'
+      explicitConsent: null, // Keuze via setConsent() (null = niet gezet)
+      tcfConsent: null,     // Laatste antwoord van __tcfapi (null = geen antwoord)
+      tcfListenerId: null,
+      visitorId: null,      // Anonieme bezoeker (flag bucketing en visitor_id; pas opgeslagen na consent)
+      session: null,        // { id, started_at, last_activity }
+      identityCleared: false, // clearIdentity(): IDs deze pageview niet meer opslaan
+      identityPersistPending: false,
+      widgetEnabled: false, // ?f=1 gezien (tot consent alleen in het geheugen)
+      cookieDomain: undefined, // undefined = nog niet bepaald
+      campaign: null,       // { first_touch, last_touch } (ook zonder consent, in het geheugen)
+      exposures: {},        // Al gerapporteerde flag exposures (tot consent en zonder sessionStorage alleen hier)
+      pendingActions: [],   // Acties die wachten op consent
+      extractionSources: {}, // Welke bron elke extractor het laatst gebruikte (diagnostics)
+      eventLog: [],         // Laatste delivery events (diagnostics)
+      diagnosticsPanel: null,
+      listeners: {},        // on(name, listener) subscribers
+      teardown: [],         // Opruimacties voor destroy()
+      route: null,          // Huidige route (zie getRouteKey)
+      routeUrl: null,
+      chatPanel: null,      // { overlay, iframe, launcher, cleanup }
+      observer: null,       // Eén MutationObserver voor waiters + settle
+      waiters: [],          // Open waitForElement() calls
+      settleUntil: 0,
+      settleTimer: null,
+      evaluateTimer: null,
+      engagement: null,     // Meting van de huidige AI-referred product view
+      funnelPageTracked: false, // cart_view / checkout_step voor deze route al gecheckt
+      purchaseBlockedLogged: false, // Melding 'thank you onder threshold' al gelogd (per route)
+      pageClassification: null, // { route, result } laatste classifyPage() resultaat
+      lastAddToCart: 0,     // Timestamp voor dedupeMs
+      xhrRequests: new WeakMap(), // XHR → { method, url } (uit open())
+      injectionPending: false,
+      impressionObserver: null,
+      impressionTargets: new Map(), // wrapper → { injectId, timer, tracked }
+      injections: new Map(),        // injectId → wat injectContent veranderde (voor removeContent)
+      behaviours: {},               // Extra behaviours via registerBehaviour()
+      trustedTypesPolicy: undefined, // undefined = nog niet aangemaakt, null = niet beschikbaar
+      parsingInert: false,          // parseInert() bezig: de policy laat de ruwe HTML dan door naar de sanitizer
+      rejections: []                // Laatste geweigerde content (diagnostics)
+    };
+    
+    /**
+     * Storage key met prefix (bijv. 'event_queue' → 'kp_event_queue')
+     */
+    function storageKey(name) {
+      return config.storagePrefix + name;
+    }
+    
+    /**
+     * FEATURE FLAG: Test Mode
+     * 
+     * Widget wordt alleen geladen als er `f=1` in de URL staat.
+     * Dit maakt het mogelijk om de widget te testen zonder dat deze live is voor alle gebruikers.
+     * 
+     * Gebruik: Voeg `?f=1` toe aan de URL om de widget te activeren
+     * Voorbeeld: https://www.kunstpakket.nl/product.html?f=1
+     * 
+     * Deze flag wordt opgeslagen in sessionStorage zodat deze actief blijft tijdens de hele sessie.
+     * Om de widget uit te schakelen: verwijder de parameter en refresh de pagina.
+     */
+    function isFeatureEnabled() {
+      // QA override via ?kp_flags=widget:on|off gaat voor alles
+      const widget = evaluateFlag('widget');
+      if (widget.source === 'override') {
+        return widget.enabled;
+      }
+      
+      // Check URL parameter
+      const urlParams = new URLSearchParams(window.location.search);
+      const urlFlag = urlParams.get('f');
+      
+      if (urlFlag === '1') {
+        // Sla op in sessionStorage voor de hele sessie (pas na consent, tot dan in het geheugen)
+        if (!state.widgetEnabled) {
+          state.widgetEnabled = true;
+          whenConsented(() => {
+            try {
+              sessionStorage.setItem(storageKey('widget_enabled'), 'true');
+            } catch (e) {
+              // Zonder sessionStorage geldt ?f=1 alleen voor deze pageview
+            }
+          });
+        }
+        return true;
+      }
+      
+      // Check sessionStorage (blijft actief tijdens sessie), anders de rollout
+      let stored = false;
+      try {
+        stored = sessionStorage.getItem(storageKey('widget_enabled')) === 'true';
+      } catch (e) {
+        // Ignore
+      }
+      return state.widgetEnabled || stored || widget.enabled;
+    }
+    
+    /**
+     * Lees een first-party cookie
+     */
+    function readCookie(name) {
+      try {
+        const match = document.cookie.split('; ').find(part => part.startsWith(name + '='));
+        return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    /**
+     * Zet (of verwijder met days = -1) een first-party cookie
+     */
+    function writeCookie(name, value, days, domain) {
+      try {
+        const expires = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toUTCString();
+        const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+        document.cookie = `${name}=${encodeURIComponent(value)}; expires=${expires}; path=/` +
+          (domain ? `; domain=${domain}` : '') + `; SameSite=Lax${secure}`;
+      } catch (e) {
+        // Cookies geblokkeerd: localStorage blijft de bron
+      }
+    }
+    
+    /**
+     * Cookie domein voor de visitor ID
+     * Automatisch: het hoogste domein waarop de browser een cookie accepteert
+     * (kunstpakket.nl voor www.kunstpakket.nl, maar niet co.uk voor shop.co.uk).
+     */
+    function getCookieDomain() {
+      if (state.cookieDomain !== undefined) return state.cookieDomain;
+      state.cookieDomain = config.identity.cookieDomain;
+      if (state.cookieDomain) return state.cookieDomain;
+      
+      const parts = window.location.hostname.split('.');
+      const probe = storageKey('cookie_probe');
+      
+      if (parts.length > 1 && !/^\d+$/.test(parts[parts.length - 1])) {
+        for (let i = parts.length - 2; i >= 0; i--) {
+          const candidate = parts.slice(i).join('.');
+          writeCookie(probe, '1', 1, candidate);
+          if (readCookie(probe) === '1') {
+            writeCookie(probe, '', -1, candidate);
+            state.cookieDomain = candidate;
+            break;
+          }
+        }
+      }
+      return state.cookieDomain;
+    }
+    
+    /**
+     * Verwijder de visitor cookie
+     * Zonder bekend domein op alle kandidaten, zodat er niet eerst een probe cookie gezet hoeft te worden.
+     */
+    function removeVisitorCookie() {
+      const parts = window.location.hostname.split('.');
+      const known = state.cookieDomain !== undefined ? state.cookieDomain : config.identity.cookieDomain;
+      const domains = known ? [known] : [''].concat(parts.slice(0, -1).map((part, i) => parts.slice(i).join('.')));
+      
+      domains.forEach(domain => writeCookie(storageKey('vid'), '', -1, domain));
+    }
+    
+    /**
+     * Sla visitor en sessie op (alleen na consent, max 1 wachtende actie)
+     * Bij denied wordt niets gepland; updateConsent() slaat ze alsnog op als consent later komt.
+     */
+    function persistIdentity() {
+      if (state.identityPersistPending || state.consent === 'denied') return;
+      state.identityPersistPending = true;
+      
+      whenConsented(() => {
+        state.identityPersistPending = false;
+        if (state.identityCleared) return;
+        
+        try {
+          localStorage.setItem(storageKey('visitor_id'), state.visitorId);
+          if (state.session) {
+            localStorage.setItem(storageKey('session'), JSON.stringify(state.session));
+          }
+        } catch (e) {
+          // Zonder localStorage blijft de cookie over
+        }
+        writeCookie(storageKey('vid'), state.visitorId, config.identity.cookieDays, getCookieDomain());
+      });
+    }
+    
+    /**
+     * Visitor ID (sticky bucketing en visitor_id in events)
+     * Volgorde: geheugen → localStorage → cookie (ook van een ander subdomein) → nieuw.
+     * Zonder consent alleen in het geheugen; na consent opgeslagen zodat de bucket blijft.
+     */
+    function getVisitorId() {
+      if (state.visitorId) return state.visitorId;
+      
+      if (!state.identityCleared) {
+        try {
+          state.visitorId = localStorage.getItem(storageKey('visitor_id'));
+        } catch (e) {
+          // Ignore
+        }
+        if (!state.visitorId) {
+          state.visitorId = readCookie(storageKey('vid'));
+        }
+      }
+      
+      if (!state.visitorId) {
+        state.visitorId = generateEventId();
+      }
+      persistIdentity();
+      return state.visitorId;
+    }
+    
+    /**
+     * Session ID: nieuwe sessie na identity.sessionTimeout ms zonder events
+     * Elke aanroep telt als activiteit. Gedeeld tussen tabs via localStorage.
+     */
+    function getSessionId() {
+      const now = Date.now();
+      
+      if (!state.identityCleared) {
+        try {
+          const stored = JSON.parse(localStorage.getItem(storageKey('session')));
+          if (stored && stored.id && (!state.session || stored.last_activity > state.session.last_activity)) {
+            state.session = stored;  // Andere tab was actiever
+          }
+        } catch (e) {
+          // Ignore
+        }
+      }
+      
+      if (!state.session || now - state.session.last_activity > config.identity.sessionTimeout) {
+        state.session = { id: generateEventId(), started_at: now, last_activity: now };
+      }
+      state.session.last_activity = now;
+      persistIdentity();
+      return state.session.id;
+    }
+    
+    /**
+     * Verwijder opgeslagen IDs (localStorage en cookie)
+     */
+    function removeStoredIdentity() {
+      try {
+        localStorage.removeItem(storageKey('visitor_id'));
+        localStorage.removeItem(storageKey('session'));
+      } catch (e) {
+        // Ignore
+      }
+      removeVisitorCookie();
+    }
+    
+    /**
+     * Nieuwe visitor en session ID (bijv. bij uitloggen of een gedeelde computer)
+     * Let op: flag buckets worden opnieuw bepaald.
+     */
+    function resetIdentity() {
+      removeStoredIdentity();
+      state.identityCleared = false;
+      state.visitorId = null;
+      state.session = null;
+      getSessionId();
+      return getIdentity();
+    }
+    
+    /**
+     * Verwijder de IDs (bijv. op verzoek van de bezoeker)
+     * De rest van deze pageview worden tijdelijke IDs gebruikt die niet worden opgeslagen.
+     */
+    function clearIdentity() {
+      removeStoredIdentity();
+      state.identityCleared = true;
+      state.visitorId = null;
+      state.session = null;
+    }
+    
+    /**
+     * Huidige IDs (zonder activiteit te registreren)
+     */
+    function getIdentity() {
+      return {
+        visitor_id: getVisitorId(),
+        session_id: state.session ? state.session.id : null
+      };
+    }
+    
+    /**
+     * QA overrides uit ?kp_flags=naam:waarde,... (bewaard in sessionStorage)
+     */
+    function readFlagOverrides() {
+      let overrides = {};
+      try {
+        overrides = JSON.parse(sessionStorage.getItem(storageKey('flag_overrides')) || '{}') || {};
+      } catch (e) {
+        overrides = {};
+      }
+      
+      const param = new URLSearchParams(window.location.search).get('kp_flags');
+      if (param !== null) {
+        if (param === 'reset') {
+          overrides = {};
+        } else {
+          param.split(',').forEach(pair => {
+            const [name, value] = pair.split(':').map(part => (part || '').trim());
+            if (name && value) overrides[name] = value;
+          });
+        }
+        try {
+          sessionStorage.setItem(storageKey('flag_overrides'), JSON.stringify(overrides));
+        } catch (e) {
+          // Alleen voor deze pageview
+        }
+      }
+      return overrides;
+    }
+    
+    /**
+     * Evalueer een flag (zonder exposure event)
+     * 
+     * @returns {{ name, enabled, variant, payload, bucket, source }} source: 'bucket' | 'override' | 'undefined'
+     */
+    function evaluateFlag(name) {
+      const flag = config.flags[name];
+      const override = readFlagOverrides()[name];
+      const result = { name: name, enabled: false, variant: null, payload: {}, bucket: null, source: flag ? 'bucket' : 'undefined' };
+      if (!flag && !override) return result;
+      
+      const visitorId = getVisitorId();
+      result.bucket = (fnv1a(`${visitorId}:${name}`) % 10000) / 100;  // 0 - 99.99
+      result.enabled = flag ? result.bucket < flag.rollout : false;
+      
+      if (override) {
+        result.source = 'override';
+        result.enabled = override !== 'off';
+      }
+      if (!result.enabled || !flag || !flag.variants) return result;
+      
+      // Variant: geforceerd via override, anders gewogen op een tweede hash
+      let variant = override && flag.variants.find(v => v.name === override);
+      if (!variant) {
+        const total = flag.variants.reduce((sum, v) => sum + v.weight, 0);
+        let point = (fnv1a(`${visitorId}:${name}:variant`) % 10000) / 10000 * total;
+        variant = flag.variants.find(v => (point -= v.weight) < 0 && v.weight > 0) || flag.variants[flag.variants.length - 1];
+      }
+      result.variant = variant.name;
+      result.payload = variant.payload;
+      return result;
+    }
+    
+    /**
+     * Flag gebruiken: evalueer en rapporteer de toewijzing als `exposure` event (1x per sessie per waarde)
+     */
+    function useFlag(name) {
+      const result = evaluateFlag(name);
+      if (result.source !== 'undefined') {
+        recordExposure(result);
+      }
+      return result;
+    }
+    
+    function recordExposure(result) {
+      const value = result.variant || (result.enabled ? 'on' : 'off');
+      const key = `${result.name}:${value}`;
+      
+      let stored = {};
+      try {
+        stored = JSON.parse(sessionStorage.getItem(storageKey('exposures')) || '{}') || {};
+      } catch (e) {
+        // Fallback: alleen in het geheugen
+      }
+      if (stored[key] || state.exposures[key]) return;
+      state.exposures[key] = true;
+      
+      // Opslaan pas na consent (net als widget_enabled), tot dan alleen in het geheugen
+      whenConsented(() => {
+        try {
+          const current = JSON.parse(sessionStorage.getItem(storageKey('exposures')) || '{}') || {};
+          sessionStorage.setItem(storageKey('exposures'), JSON.stringify({ ...current, ...state.exposures }));
+        } catch (e) {
+          // Ignore
+        }
+      });
+      
+      trackEvent({
+        event: 'exposure',
+        flag: result.name,
+        variant: value,
+        enabled: result.enabled,
+        assignment_source: result.source
+      });
+    }
+    
+    /**
+     * Alle flags met hun huidige waarde: { naam: variant | 'on' | 'off' }
+     * Gaat mee met purchase events zodat varianten tegen verkopen afgezet kunnen worden.
+     */
+    function getVariants() {
+      const variants = {};
+      Object.keys(config.flags).forEach(name => {
+        const result = evaluateFlag(name);
+        variants[name] = result.variant || (result.enabled ? 'on' : 'off');
+      });
+      return variants;
+    }
+    
+    /**
+     * Consent uit Google Consent Mode (gtag `consent` commands in de dataLayer)
+     * Alleen een `update` is een keuze van de bezoeker; een `default` ('denied' vóór de cookie banner)
+     * houdt consent op pending.
+     */
+    function readGoogleConsent() {
+      // gtag houdt de actuele staat bij in google_tag_data
+      const entry = window.google_tag_data?.ics?.entries?.analytics_storage;
+      if (entry && typeof entry.update === 'boolean') return entry.update;
+      
+      if (!Array.isArray(window.dataLayer)) return null;
+      
+      let result = null;
+      for (const item of window.dataLayer) {
+        // gtag() pusht een arguments object: ['consent', 'default' | 'update', { ... }]
+        if (item && item[0] === 'consent' && item[1] === 'update' && item[2] && item[2].analytics_storage) {
+          result = item[2].analytics_storage === 'granted';
+        }
+      }
+      return result;
+    }
+    
+    /**
+     * Consent uit Cookiebot of CookieYes
+     */
+    function readCmpConsent() {
+      const cookiebot = window.Cookiebot;
+      if (cookiebot && cookiebot.consent && (cookiebot.hasResponse || cookiebot.consented || cookiebot.declined)) {
+        return Boolean(cookiebot.consent.statistics);
+      }
+      
+      if (typeof window.getCkyConsent === 'function') {
+        try {
+          const cky = window.getCkyConsent();
+          if (cky && cky.isUserActionCompleted && cky.categories) {
+            return Boolean(cky.categories.analytics);
+          }
+        } catch (e) {
+          // Ignore
+        }
+      }
+      
+      return null;
+    }
+    
+    /**
+     * Lees expliciet opgeslagen consent (via setConsent)
+     */
+    function readStoredConsent() {
+      try {
+        const stored = localStorage.getItem(storageKey('consent'));
+        return stored === 'granted' ? true : stored === 'denied' ? false : null;
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    /**
+     * Bepaal consent status uit alle signalen
+     */
+    function resolveConsent() {
+      if (!config.consent.required) return 'granted';
+      
+      const explicit = state.explicitConsent !== null ? state.explicitConsent : readStoredConsent();
+      const signals = [explicit, state.tcfConsent, readGoogleConsent(), readCmpConsent()];
+      const answer = signals.find(signal => signal !== null);
+      
+      if (answer === undefined) return 'pending';
+      return answer ? 'granted' : 'denied';
+    }
+    
+    /**
+     * Verwijder alle opgeslagen widget data (behalve de consent keuze zelf en de test flag)
+     */
+    function wipeStoredData() {
+      // Dismissals zijn een UI keuze van de bezoeker, geen tracking data
+      const keep = [storageKey('consent'), storageKey('widget_enabled'), storageKey('flag_overrides'), storageKey('dismissed_banners')];
+      
+      [window.localStorage, window.sessionStorage].forEach(storage => {
+        try {
+          Object.keys(storage)
+            .filter(key => key.startsWith(config.storagePrefix) && !keep.includes(key))
+            .forEach(key => storage.removeItem(key));
+        } catch (e) {
+          // Ignore
+        }
+      });
+      removeVisitorCookie();
+      state.memoryQueue = [];
+      state.identityPersistPending = false;
+    }
+    
+    /**
+     * Werk consent status bij en voer wachtende acties uit (of gooi ze weg)
+     */
+    function updateConsent() {
+      const previous = state.consent;
+      state.consent = resolveConsent();
+      if (state.consent === previous) return;
+      
+      if (state.consent === 'granted') {
+        console.log('[KP Analytics] ✅ Consent granted');
+        const actions = state.pendingActions;
+        state.pendingActions = [];
+        actions.forEach(action => action());
+        
+        // IDs van deze pageview (na een eerdere denied) alsnog opslaan
+        if (state.visitorId || state.session) {
+          persistIdentity();
+        }
+        flushEventQueue();
+      } else if (state.consent === 'denied') {
+        console.log('[KP Analytics] ⛔ Consent denied - discarding tracking data');
+        state.pendingActions = [];
+        state.identityPersistPending = false;
+        clearTimeout(state.retryTimer);
+        wipeStoredData();
+      }
+    }
+    
+    /**
+     * Voer een actie uit zodra er consent is
+     * pending → in geheugen bewaren, denied → weggooien
+     */
+    function whenConsented(action) {
+      if (state.consent === 'granted') {
+        action();
+      } else if (state.consent === 'pending') {
+        state.pendingActions.push(action);
+      }
+    }
+    
+    /**
+     * Expliciete consent vanuit de shop (bijv. vanuit een eigen cookie banner)
+     */
+    function setConsent(granted) {
+      state.explicitConsent = Boolean(granted);
+      try {
+        localStorage.setItem(storageKey('consent'), granted ? 'granted' : 'denied');
+      } catch (e) {
+        // Zonder localStorage geldt de keuze alleen voor deze pageview
+      }
+      updateConsent();
+    }
+    
+    /**
+     * Luister naar consent wijzigingen van CMP's
+     */
+    function initConsent() {
+      // IAB TCF v2
+      if (typeof window.__tcfapi === 'function') {
+        try {
+          window.__tcfapi('addEventListener', 2, (tcData, success) => {
+            if (!success || !tcData) return;
+            if (tcData.listenerId !== undefined && !state.tcfListenerId) {
+              state.tcfListenerId = tcData.listenerId;
+              state.teardown.push(() => window.__tcfapi('removeEventListener', 2, () => {}, tcData.listenerId));
+            }
+            if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+            
+            const consents = (tcData.purpose && tcData.purpose.consents) || {};
+            state.tcfConsent = tcData.gdprApplies === false ||
+              config.consent.tcfPurposes.every(purpose => consents[purpose] === true);
+            updateConsent();
+          });
+        } catch (e) {
+          console.warn('[KP Analytics] TCF API error:', e.message);
+        }
+      }
+      
+      // Google Consent Mode: consent updates komen binnen via dataLayer.push
+      if (Array.isArray(window.dataLayer)) {
+        wrapMethod(window.dataLayer, 'push', (args) => {
+          if (args.some(item => item && item[0] === 'consent')) {
+            updateConsent();
+          }
+        });
+      }
+      
+      // Cookiebot / CookieYes
+      ['CookiebotOnAccept', 'CookiebotOnDecline', 'CookiebotOnConsentReady'].forEach(name => {
+        listen(window, name, updateConsent);
+      });
+      listen(document, 'cookieyes_consent_update', updateConsent);
+      
+      updateConsent();
+    }
+    
+    /**
+     * Houd delivery status bij voor het diagnostics panel (laatste 50)
+     */
+    function logDelivery(status, payload, detail) {
+      state.eventLog.push({
+        time: Date.now(),
+        status: status,
+        event: payload.event,
+        event_id: payload.event_id,
+        detail: detail || null
+      });
+      if (state.eventLog.length > 50) {
+        state.eventLog.shift();
+      }
+      if (state.diagnosticsPanel) {
+        renderEventLog();
+      }
+    }
+    
+    /**
+     * Genereer een uniek event ID (voor deduplicatie in de API)
+     */
+    function generateEventId() {
+      if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+      }
+      
+      const bytes = new Uint8Array(16);
+      if (window.crypto && window.crypto.getRandomValues) {
+        window.crypto.getRandomValues(bytes);
+      } else {
+        for (let i = 0; i < bytes.length; i++) {
+          bytes[i] = Math.floor(Math.random() * 256);
+        }
+      }
+      return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Lees event queue (localStorage, anders memory)
+     */
+    function readEventQueue() {
+      try {
+        const raw = localStorage.getItem(storageKey('event_queue'));
+        const queue = raw ? JSON.parse(raw) : [];
+        return Array.isArray(queue) ? queue : [];
+      } catch (e) {
+        return state.memoryQueue.slice();
+      }
+    }
+    
+    /**
+     * Schrijf event queue (localStorage, anders memory)
+     */
+    function writeEventQueue(queue) {
+      // Oude events en overflow opruimen
+      const now = Date.now();
+      let pruned = queue.filter(entry => entry && entry.payload && now - entry.created_at < config.delivery.maxEventAge);
+      if (pruned.length > config.delivery.maxQueueSize) {
+        pruned = pruned.slice(pruned.length - config.delivery.maxQueueSize);
+      }
+      
+      state.memoryQueue = pruned;
+      try {
+        if (pruned.length > 0) {
+          localStorage.setItem(storageKey('event_queue'), JSON.stringify(pruned));
+        } else {
+          localStorage.removeItem(storageKey('event_queue'));
+        }
+      } catch (e) {
+        // Memory queue blijft als fallback bestaan
+      }
+    }
+    
+    /**
+     * Verwijder verstuurde events uit de queue
+     */
+    function removeFromEventQueue(ids) {
+      writeEventQueue(readEventQueue().filter(entry => !ids.includes(entry.id)));
+    }
+    
+    /**
+     * Markeer mislukte events voor retry (of gooi ze weg na maxAttempts)
+     */
+    function scheduleEventRetry(ids, retryable) {
+      const now = Date.now();
+      const queue = [];
+      
+      for (const entry of readEventQueue()) {
+        if (!ids.includes(entry.id)) {
+          queue.push(entry);
+          continue;
+        }
+        
+        entry.attempts = (entry.attempts || 0) + 1;
+        if (!retryable || entry.attempts >= config.delivery.maxAttempts) {
+          console.warn('[KP Analytics] ❌ Event dropped after', entry.attempts, 'attempt(s):', entry.payload.event);
+          logDelivery('dropped', entry.payload, `${entry.attempts} attempt(s)`);
+          continue;
+        }
+        
+        const delay = Math.min(config.delivery.baseDelay * Math.pow(2, entry.attempts - 1), config.delivery.maxDelay);
+        entry.next_attempt = now + delay;
+        queue.push(entry);
+      }
+      
+      writeEventQueue(queue);
+      scheduleNextFlush();
+    }
+    
+    /**
+     * Plan een flush voor het eerstvolgende event dat aan de beurt is
+     */
+    function scheduleNextFlush() {
+      const queue = readEventQueue();
+      if (queue.length === 0) return;
+      
+      const next = Math.min(...queue.map(entry => entry.next_attempt || 0));
+      const delay = Math.max(next - Date.now(), 0);
+      
+      clearTimeout(state.retryTimer);
+      state.retryTimer = setTimeout(() => flushEventQueue(), delay);
+    }
+    
+    /**
+     * Bouw request body: enkel event of batch
+     */
+    function buildDeliveryBody(entries) {
+      if (entries.length === 1) {
+        return JSON.stringify(entries[0].payload);
+      }
+      return JSON.stringify({
+        client_id: config.clientId,
+        events: entries.map(entry => entry.payload)
+      });
+    }
+    
+    /**
+     * Verstuur alle events die aan de beurt zijn
+     */
+    async function flushEventQueue() {
+      if (state.isFlushing || state.consent !== 'granted') return;
+      
+      const now = Date.now();
+      const due = readEventQueue()
+        .filter(entry => (entry.next_attempt || 0) <= now)
+        .slice(0, config.delivery.batchSize);
+      
+      if (due.length === 0) {
+        scheduleNextFlush();
+        return;
+      }
+      
+      const ids = due.map(entry => entry.id);
+      state.isFlushing = true;
+      
+      try {
+        const response = await fetch(config.apiUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: buildDeliveryBody(due),
+          keepalive: true,
+          mode: 'cors',
+          credentials: 'omit'
+        });
+        
+        if (!response.ok) {
+          const message = await response.text();
+          console.warn('[KP Analytics] Tracking failed:', message);
+          due.forEach(entry => logDelivery('failed', entry.payload, `HTTP ${response.status} ${message}`));
+          // 4xx (behalve timeout / rate limit) heeft geen zin om opnieuw te proberen
+          const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+          scheduleEventRetry(ids, retryable);
+          return;
+        }
+        
+        removeFromEventQueue(ids);
+        due.forEach(entry => {
+          console.log('[KP Analytics] ✅ Event tracked:', entry.payload.event);
+          logDelivery('sent', entry.payload);
+        });
+      } catch (err) {
+        console.warn('[KP Analytics] Tracking error:', err.message);
+        due.forEach(entry => logDelivery('failed', entry.payload, err.message));
+        scheduleEventRetry(ids, true);
+        return;
+      } finally {
+        state.isFlushing = false;
+      }
+      
+      // Volgende batch (als er meer klaar staat)
+      await flushEventQueue();
+    }
+    
+    /**
+     * Flush de volledige queue via sendBeacon (pagina wordt verlaten)
+     */
+    function flushEventQueueWithBeacon() {
+      if (!navigator.sendBeacon || state.consent !== 'granted') return;
+      
+      const queue = readEventQueue();
+      if (queue.length === 0) return;
+      
+      for (let i = 0; i < queue.length; i += config.delivery.batchSize) {
+        const batch = queue.slice(i, i + config.delivery.batchSize);
+        // text/plain voorkomt een CORS preflight (die bij pagehide niet meer afgerond wordt)
+        const blob = new Blob([buildDeliveryBody(batch)], { type: 'text/plain;charset=UTF-8' });
+        
+        if (navigator.sendBeacon(config.apiUrl, blob)) {
+          removeFromEventQueue(batch.map(entry => entry.id));
+          batch.forEach(entry => logDelivery('beacon', entry.payload));
+        }
+      }
+    }
+    
+    /**
+     * Start event delivery: verstuur events van vorige pageviews en flush bij verlaten pagina
+     */
+    function initEventDelivery() {
+      listen(window, 'pagehide', () => {
+        // Engagement samenvatting eerst in de queue, zodat hij met de beacon mee gaat
+        finishEngagement('pagehide');
+        flushEventQueueWithBeacon();
+      });
+      listen(document, 'visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          flushEventQueueWithBeacon();
+        }
+      });
+      listen(window, 'online', () => flushEventQueue());
+      
+      flushEventQueue();
+    }
+    
+    /**
+     * Track event naar analytics API
+     * Event wordt in de queue gezet en direct geprobeerd te versturen.
+     * Zonder consent blijft het event in het geheugen (zie whenConsented).
+     */
+    function trackEvent(eventData) {
+      const payload = {
+        client_id: config.clientId,
+        event_id: generateEventId(),
+        schema_version: EVENT_SCHEMA_VERSION,
+        visitor_id: getVisitorId(),
+        session_id: getSessionId(),
+        ...eventData
+      };
+      const createdAt = Date.now();
+      logDelivery(state.consent === 'granted' ? 'queued' : state.consent === 'pending' ? 'held' : 'discarded', payload);
+      
+      // Analytics tools van de shop (ook pas na consent)
+      whenConsented(() => forwardToDestinations(payload));
+      
+      whenConsented(() => {
+        const queue = readEventQueue();
+        queue.push({
+          id: payload.event_id,
+          payload: payload,
+          attempts: 0,
+          next_attempt: 0,
+          created_at: createdAt
+        });
+        writeEventQueue(queue);
+      });
+      
+      return flushEventQueue();
+    }
+    
+    /**
+     * Stuur een event door naar de ingeschakelde destinations (config.destinations)
+     * Fouten in een adapter hebben geen invloed op de andere adapters of de eigen API.
+     */
+    function forwardToDestinations(payload) {
+      // Zonder order_id (transaction_id) kunnen de tools een purchase niet dedupliceren met die van de shop
+      if (payload.event === 'purchase' && !payload.order_id) {
+        logDelivery('skipped', payload, 'destinations: no order_id');
+        return;
+      }
+      
+      Object.keys(DESTINATION_ADAPTERS).forEach(key => {
+        const settings = config.destinations[key];
+        const name = settings.enabled ? settings.events[payload.event] : null;
+        if (!name || typeof name !== 'string') return;
+        
+        try {
+          if (DESTINATION_ADAPTERS[key].send(name, payload, settings)) {
+            logDelivery('forwarded', payload, `${key}:${name}`);
+          }
+        } catch (err) {
+          console.warn(`[KP Analytics] Destination ${key} failed:`, err.message);
+        }
+      });
+    }
+    
+    /**
+     * Track een eigen event van de shop (newsletter signup, wishlist, ...)
+     * Properties worden gevalideerd tegen het schema (EVENT_SCHEMAS + events.schemas).
+     * 
+     * @param {string} eventName - Event naam in snake_case, bijv. 'wishlist_add'
+     * @param {Object} properties - Event properties (optioneel)
+     * @returns {boolean} true als het event geaccepteerd is
+     */
+    function track(eventName, properties) {
+      const name = String(eventName || '');
+      const props = properties === undefined ? {} : properties;
+      const schemas = { ...EVENT_SCHEMAS, ...config.events.schemas };
+      const schema = Object.prototype.hasOwnProperty.call(schemas, name) ? schemas[name] : null;
+      
+      const errors = validateEventProperties(name, props, schema);
+      if (!schema && config.events.strict && errors.length === 0) {
+        errors.push('no schema for this event (events.strict)');
+      }
+      
+      if (errors.length > 0) {
+        console.warn(`[KP Analytics] ⚠️ Invalid event "${name}":`, errors.join('; '));
+        return false;
+      }
+      
+      const cleaned = {};
+      Object.keys(props).forEach(key => {
+        if (props[key] !== undefined) cleaned[key] = props[key];
+      });
+      
+      trackEvent({
+        event: name,
+        properties: cleaned,
+        page_url: window.location.href
+      });
+      return true;
+    }
+    
+    /**
+     * Voer een command uit de command queue uit
+     * ['track', 'wishlist_add', { ... }] roept api.track(...) aan, een functie krijgt de api mee.
+     */
+    function runCommand(command) {
+      try {
+        if (typeof command === 'function') {
+          command(api);
+          return;
+        }
+        
+        const method = Array.isArray(command) ? command[0] : null;
+        if (typeof method !== 'string' || ['start', 'destroy'].includes(method) || typeof api[method] !== 'function') {
+          console.warn('[KP Analytics] Unknown command in queue:', command);
+          return;
+        }
+        api[method](...command.slice(1));
+      } catch (err) {
+        console.error('[KP Analytics] Command error:', err);
+      }
+    }
+    
+    /**
+     * Command queue (window.kpq)
+     * Commands die vóór het laden van widget.js zijn gepusht worden in volgorde uitgevoerd,
+     * daarna voert push() ze direct uit. Bij destroy() wordt het weer een gewone array.
+     */
+    function initCommandQueue() {
+      const name = config.events.commandQueue;
+      if (!name) return;
+      
+      const existing = window[name];
+      if (existing && existing.kpCommandQueue) {
+        console.warn('[KP Analytics] Command queue already handled by another tracker:', name);
+        return;
+      }
+      
+      const pending = Array.isArray(existing) ? existing.slice() : [];
+      window[name] = {
+        kpCommandQueue: true,
+        push: (...commands) => {
+          commands.forEach(runCommand);
+          return 0;
+        }
+      };
+      state.teardown.push(() => {
+        window[name] = [];
+      });
+      
+      if (pending.length > 0) {
+        console.log(`[KP Analytics] ▶️ Replaying ${pending.length} queued command(s) from window.${name}`);
+      }
+      pending.forEach(runCommand);
+    }
+    
+    /**
+     * Lees alle JSON-LD entities uit de pagina
+     * Ondersteunt meerdere script blocks, arrays van entities, `@graph` en `mainEntity`.
+     */
+    function getJsonLdEntities() {
+      const entities = [];
+      const collect = (data) => {
+        if (Array.isArray(data)) {
+          data.forEach(collect);
+        } else if (data && typeof data === 'object') {
+          entities.push(data);
+          if (data['@graph']) collect(data['@graph']);
+          if (data.mainEntity) collect(data.mainEntity);
+        }
+      };
+      
+      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          collect(JSON.parse(script.textContent));
+        } catch (e) {
+          // Ongeldige JSON-LD: negeren
+        }
+      });
+      
+      return entities;
+    }
+    
+    /**
+     * Zoek de eerste JSON-LD entity van een bepaald @type (bijv. 'Order')
+     */
+    function findJsonLdEntity(types) {
+      return findJsonLdEntities(types)[0] || null;
+    }
+    
+    /**
+     * Alle JSON-LD entities van een bepaald @type
+     */
+    function findJsonLdEntities(types) {
+      const wanted = Array.isArray(types) ? types : [types];
+      return getJsonLdEntities().filter(entity => {
+        const entityTypes = Array.isArray(entity['@type']) ? entity['@type'] : [entity['@type']];
+        return entityTypes.some(type => wanted.includes(type));
+      });
+    }
+    
+    /**
+     * Lees een pad als 'offers.price' uit een object
+     * Arrays onderweg (bijv. meerdere offers) leveren de eerste waarde die bestaat.
+     */
+    function resolvePath(value, path) {
+      return path.split('.').reduce((current, key) => {
+        if (current === null || current === undefined) return undefined;
+        if (Array.isArray(current)) {
+          const match = current.find(item => item && item[key] !== undefined && item[key] !== null);
+          return match ? match[key] : undefined;
+        }
+        return current[key];
+      }, value);
+    }
+    
+    /**
+     * Bepaal de bronnen voor een veld: ingebouwde lijst + config (sources / add / disable / order)
+     */
+    function getExtractorSources(field) {
+      const fieldConfig = config.extractors[field];
+      let sources = (fieldConfig.sources.length > 0 ? fieldConfig.sources : BUILTIN_EXTRACTORS[field].sources).slice();
+      
+      fieldConfig.add.slice().reverse().forEach(source => {
+        const anchor = source.before || source.after;
+        const index = anchor ? sources.findIndex(s => s.id === anchor) : -1;
+        if (index === -1) {
+          sources.unshift(source);
+        } else {
+          sources.splice(source.before ? index : index + 1, 0, source);
+        }
+      });
+      
+      sources = sources.filter(source => !fieldConfig.disable.includes(source.id));
+      
+      const ordered = fieldConfig.order
+        .map(id => sources.find(source => source.id === id))
+        .filter(Boolean);
+      return ordered.concat(sources.filter(source => !ordered.includes(source)));
+    }
+    
+    /**
+     * Ruwe kandidaat-waardes van één bron
+     */
+    function readExtractorSource(source) {
+      const asArray = (value) => (Array.isArray(value) ? value : [value]);
+      
+      switch (source.type) {
+        case 'param': {
+          const urlParams = new URLSearchParams(window.location.search);
+          return asArray(source.names || source.name).map(name => urlParams.get(name));
+        }
+        case 'path': {
+          const match = window.location.pathname.match(new RegExp(source.pattern));
+          return [match ? match[1] : null];
+        }
+        case 'selector': {
+          const elements = source.all
+            ? Array.from(document.querySelectorAll(source.selector))
+            : [document.querySelector(source.selector)].filter(Boolean);
+          const values = [];
+          elements.forEach(el => {
+            if (source.attribute) {
+              asArray(source.attribute).forEach(attribute => values.push(el.getAttribute(attribute)));
+            } else {
+              values.push((el.textContent || el.innerText || '').trim());
+            }
+          });
+          return values;
+        }
+        case 'meta': {
+          const readMeta = (name) => {
+            const meta = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+            return meta ? meta.getAttribute('content') : null;
+          };
+          const content = readMeta(source.name);
+          return [source.currency && content ? { price: content, priceCurrency: readMeta(source.currency) } : content];
+        }
+        case 'money': {
+          // Alleen de binnenste matches (geen wrapper met oude + nieuwe prijs), op volgorde van source.roles
+          const candidates = Array.from(document.querySelectorAll(source.selector))
+            .filter(el => !el.querySelector(source.selector))
+            .map(el => ({ el: el, role: getPriceRole(el) }))
+            .filter(candidate => source.roles.includes(candidate.role));
+          candidates.sort((a, b) => source.roles.indexOf(a.role) - source.roles.indexOf(b.role));
+          return candidates.map(candidate => parseMoney(candidate.el.textContent || candidate.el.innerText || '', false));
+        }
+        case 'js':
+          return asArray(source.path).map(path => resolvePath(window, path));
+        case 'jsonLd': {
+          const entities = source.entity ? findJsonLdEntities(source.entity) : getJsonLdEntities();
+          const values = [];
+          entities.forEach(entity => {
+            asArray(source.path).forEach(path => {
+              const value = resolvePath(entity, path);
+              if (source.priceCurrency && value !== null && typeof value !== 'object') {
+                // priceCurrency van hetzelfde object (bijv. offers.priceCurrency naast offers.price)
+                const parentPath = path.split('.').slice(0, -1).join('.');
+                const parent = parentPath ? resolvePath(entity, parentPath) : entity;
+                const holder = Array.isArray(parent) ? parent.find(item => item && item.priceCurrency) : parent;
+                values.push({ price: value, priceCurrency: holder && holder.priceCurrency });
+              } else {
+                values.push(value);
+              }
+            });
+          });
+          return values;
+        }
+        case 'documentTitle': {
+          const title = (document.title || '').replace(source.strip ? new RegExp(source.strip, 'i') : '', '').trim();
+          return [title];
+        }
+        default:
+          console.warn('[KP Analytics] Unknown extractor source type:', source.type, source.id);
+          return [];
+      }
+    }
+    
+    /**
+     * Normaliseer een ruwe waarde naar het type van het veld (null = ongeldig)
+     */
+    function normalizeExtractedValue(kind, raw, source) {
+      if (raw === null || raw === undefined || raw === '') return null;
+      
+      if (kind === 'amount') {
+        // Vrije tekst uit de DOM is locale notatie, de rest is machine data
+        const money = raw.amount !== undefined ? raw : parseMoney(raw, !(source.type === 'selector' && !source.attribute));
+        if (!money || isNaN(money.amount) || money.amount <= 0) return null;
+        return { amount: money.amount, currency: money.currency, source: source.id };
+      }
+      
+      if (kind === 'orderId') {
+        return normalizeOrderId(raw);
+      }
+      
+      if (typeof raw === 'object') return null;
+      const text = String(raw).trim();
+      return text || null;
+    }
+    
+    /**
+     * Voer de extractor pipeline uit voor een veld
+     * Onthoudt welke bron de waarde leverde (state.extractionSources, voor payload en diagnostics).
+     */
+    function runExtractor(field) {
+      const kind = BUILTIN_EXTRACTORS[field].kind;
+      
+      for (const source of getExtractorSources(field)) {
+        try {
+          for (const raw of readExtractorSource(source)) {
+            const value = normalizeExtractedValue(kind, raw, source);
+            if (value !== null) {
+              state.extractionSources[field] = source.id;
+              return value;
+            }
+          }
+        } catch (err) {
+          console.warn('[KP Analytics] Extractor error:', field, source.id, err.message);
+        }
+      }
+      
+      state.extractionSources[field] = null;
+      return null;
+    }
+    
+    /**
+     * Bronnen van de laatste extractie per veld, voor in de payload
+     */
+    function getExtractionSources(fields) {
+      const sources = {};
+      fields.forEach(field => {
+        sources[field] = state.extractionSources[field] || null;
+      });
+      return sources;
+    }
+    
+    /**
+     * Extract product ID uit URL of DOM
+     */
+    function extractProductId() {
+      return runExtractor('product_id'); // Product ID is optioneel
+    }
+    
+    /**
+     * Extract product title uit pagina
+     */
+    function extractProductTitle() {
+      return runExtractor('product_title'); // Optioneel - API accepteert null
+    }
+    
+    /**
+     * Extract order total uit pagina
+     * Geeft { amount, currency, source } of null
+     */
+    function extractOrderTotal() {
+      return runExtractor('order_total');
+    }
+    
+    /**
+     * Normaliseer een order ID; geeft null voor waardes als 'success' uit ?order=success
+     */
+    function normalizeOrderId(value) {
+      if (value === null || value === undefined) return null;
+      
+      const orderId = String(value).trim().replace(/^#/, '');
+      if (!/^[A-Za-z0-9][A-Za-z0-9\-_.\/]{0,63}$/.test(orderId)) return null;
+      if (/^(success|succes|ok|true|false|completed|bedankt|thankyou|0|1)$/i.test(orderId)) return null;
+      
+      return orderId;
+    }
+    
+    /**
+     * Extract order ID uit thank you pagina
+     */
+    function extractOrderId() {
+      return runExtractor('order_id');
+    }
+    
+    /**
+     * Zet een bedrag (number of string) om naar een float, of null
+     */
+    function toAmount(value) {
+      const money = parseMoney(value, true);
+      return money && !isNaN(money.amount) ? money.amount : null;
+    }
+    
+    /**
+     * Normaliseer een order regel naar { id, title, quantity, unit_price }
+     */
+    function normalizeLineItem(item) {
+      if (!item || typeof item !== 'object') return null;
+      
+      const id = item.id ?? item.product_id ?? item.item_id ?? item.sku ?? item.productID ?? null;
+      const title = item.title ?? item.name ?? item.item_name ?? null;
+      if (id === null && title === null) return null;
+      
+      const quantity = toAmount(item.quantity ?? item.qty ?? item.orderQuantity ?? 1);
+      return {
+        id: id !== null ? String(id) : null,
+        title: title,
+        quantity: quantity && quantity > 0 ? quantity : 1,
+        unit_price: toAmount(item.unit_price ?? item.price ?? item.unitPrice),
+        category: item.category ?? item.item_category ?? null
+      };
+    }
+    
+    /**
+     * Purchase details uit JSON-LD Order / Invoice
+     */
+    function extractPurchaseFromJsonLd() {
+      let order = findJsonLdEntity('Order');
+      const invoice = findJsonLdEntity('Invoice');
+      if (!order && invoice && invoice.referencesOrder && typeof invoice.referencesOrder === 'object') {
+        order = invoice.referencesOrder;
+      }
+      if (!order && !invoice) return null;
+      
+      const items = [];
+      const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+      
+      // orderedItem: OrderItem (met orderQuantity + orderedItem) of direct een Product
+      asArray(order && order.orderedItem).forEach(entry => {
+        const product = entry.orderedItem && typeof entry.orderedItem === 'object' ? entry.orderedItem : entry;
+        const offer = Array.isArray(product.offers) ? product.offers[0] : product.offers;
+        items.push(normalizeLineItem({
+          id: product.sku || product.productID || product['@id'],
+          title: product.name,
+          quantity: entry.orderQuantity,
+          price: offer ? offer.price : entry.price
+        }));
+      });
+      
+      // acceptedOffer: Offer met itemOffered
+      if (items.length === 0) {
+        asArray(order && order.acceptedOffer).forEach(offer => {
+          const product = offer.itemOffered || {};
+          items.push(normalizeLineItem({
+            id: product.sku || product.productID || product['@id'],
+            title: product.name,
+            quantity: offer.eligibleQuantity && typeof offer.eligibleQuantity === 'object' ? offer.eligibleQuantity.value : offer.eligibleQuantity,
+            price: offer.price
+          }));
+        });
+      }
+      
+      const totalDue = invoice ? invoice.totalPaymentDue : order.partOfInvoice && order.partOfInvoice.totalPaymentDue;
+      const firstOffer = asArray(order && order.acceptedOffer)[0];
+      
+      return {
+        order_id: order ? order.orderNumber || null : null,
+        total: toAmount(totalDue) ?? toAmount(order && (order.totalPrice ?? order.price)),
+        currency: (totalDue && totalDue.priceCurrency) || (order && (order.priceCurrency || order.discountCurrency)) || (firstOffer && firstOffer.priceCurrency) || null,
+        shipping: null,
+        tax: null,
+        discount: toAmount(order && order.discount),
+        items: items.filter(Boolean),
+        source: 'json-ld'
+      };
+    }
+    
+    /**
+     * Purchase details uit window.order
+     */
+    function extractPurchaseFromWindowOrder() {
+      const order = window.order;
+      if (!order || typeof order !== 'object') return null;
+      
+      const lines = order.items || order.lines || order.products || [];
+      return {
+        order_id: order.id || order.number || order.orderNumber || null,
+        total: toAmount(order.total),
+        currency: order.currency || null,
+        shipping: toAmount(order.shipping ?? order.shipping_total),
+        tax: toAmount(order.tax ?? order.tax_total),
+        discount: toAmount(order.discount ?? order.discount_total),
+        items: (Array.isArray(lines) ? lines : []).map(normalizeLineItem).filter(Boolean),
+        source: 'window.order'
+      };
+    }
+    
+    /**
+     * Purchase details uit GTM dataLayer (GA4 `purchase` en Universal Analytics `ecommerce.purchase`)
+     */
+    function extractPurchaseFromDataLayer() {
+      if (!Array.isArray(window.dataLayer)) return null;
+      
+      // Laatste purchase push telt
+      for (let i = window.dataLayer.length - 1; i >= 0; i--) {
+        const entry = window.dataLayer[i];
+        const ecommerce = entry && entry.ecommerce;
+        if (!ecommerce || entry.kp_destination) continue;  // Eigen pushes (destinations.gtm) overslaan
+        
+        // GA4
+        if (entry.event === 'purchase' && (ecommerce.transaction_id || Array.isArray(ecommerce.items))) {
+          return {
+            order_id: ecommerce.transaction_id || null,
+            total: toAmount(ecommerce.value),
+            currency: ecommerce.currency || null,
+            shipping: toAmount(ecommerce.shipping),
+            tax: toAmount(ecommerce.tax),
+            discount: toAmount(ecommerce.discount),
+            items: (ecommerce.items || []).map(normalizeLineItem).filter(Boolean),
+            source: 'dataLayer'
+          };
+        }
+        
+        // Universal Analytics enhanced ecommerce
+        if (ecommerce.purchase) {
+          const actionField = ecommerce.purchase.actionField || {};
+          return {
+            order_id: actionField.id || null,
+            total: toAmount(actionField.revenue),
+            currency: ecommerce.currencyCode || null,
+            shipping: toAmount(actionField.shipping),
+            tax: toAmount(actionField.tax),
+            discount: null,
+            items: (ecommerce.purchase.products || []).map(normalizeLineItem).filter(Boolean),
+            source: 'dataLayer'
+          };
+        }
+      }
+      
+      return null;
+    }
+    
+    /**
+     * Extract volledige order (regels, valuta, verzendkosten, btw, korting) uit thank you pagina
+     * Eerste bron met order regels of een totaal wint.
+     */
+    function extractPurchaseDetails() {
+      const extractors = [extractPurchaseFromJsonLd, extractPurchaseFromWindowOrder, extractPurchaseFromDataLayer];
+      
+      for (const extractor of extractors) {
+        try {
+          const details = extractor();
+          if (details && (details.items.length > 0 || details.total)) {
+            return details;
+          }
+        } catch (err) {
+          console.warn('[KP Analytics] Purchase extraction error:', err.message);
+        }
+      }
+      
+      return null;
+    }
+    
+    /**
+     * Lees gerapporteerde orders ({ key: expires_at }), verlopen entries worden opgeruimd
+     */
+    function readReportedOrders() {
+      try {
+        const parsed = JSON.parse(localStorage.getItem(storageKey('reported_orders')) || '{}');
+        const now = Date.now();
+        const reported = {};
+        
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          Object.keys(parsed).forEach(key => {
+            if (typeof parsed[key] === 'number' && parsed[key] > now) {
+              reported[key] = parsed[key];
+            }
+          });
+        }
+        return reported;
+      } catch (e) {
+        return {};
+      }
+    }
+    
+    /**
+     * Key voor de reported orders store (order ID, of de thank you URL als fallback)
+     */
+    function getOrderDedupKey(orderId) {
+      return orderId ? `order:${orderId}` : `url:${window.location.href}`;
+    }
+    
+    /**
+     * Check of deze order al gerapporteerd is
+     */
+    function isOrderReported(orderId) {
+      return Boolean(readReportedOrders()[getOrderDedupKey(orderId)]);
+    }
+    
+    /**
+     * Markeer order als gerapporteerd
+     */
+    function markOrderReported(orderId) {
+      const reported = readReportedOrders();
+      const ttl = orderId
+        ? config.purchase.retentionDays * 24 * 60 * 60 * 1000
+        : config.purchase.urlFallbackMinutes * 60 * 1000;
+      reported[getOrderDedupKey(orderId)] = Date.now() + ttl;
+      
+      // Alleen de laatste maxEntries bewaren
+      const entries = Object.entries(reported)
+        .sort((a, b) => a[1] - b[1])
+        .slice(-config.purchase.maxEntries);
+      
+      try {
+        localStorage.setItem(storageKey('reported_orders'), JSON.stringify(Object.fromEntries(entries)));
+      } catch (e) {
+        console.warn('[KP Analytics] Failed to save to localStorage:', e);
+      }
+    }
+    
+    /**
+     * Check of we op een product pagina zijn (classificatie boven de product threshold)
+     */
+    function isProductPage() {
+      return getPageType() === 'product';
+    }
+    
+    /**
+     * Threshold voor een pagina type (default 0.5)
+     */
+    function getPageThreshold(type) {
+      const threshold = config.pages.thresholds[type];
+      return typeof threshold === 'number' && isFinite(threshold) ? threshold : 0.5;
+    }
+    
+    /**
+     * Klopt een page rule op deze pagina? (alle condities moeten matchen)
+     */
+    function matchPageRule(rule) {
+      const target = window.location.pathname + window.location.search;
+      const regex = (pattern, text) => {
+        try {
+          return new RegExp(pattern, 'i').test(text);
+        } catch (e) {
+          console.warn('[KP Analytics] Invalid regex in page rule:', rule.id, pattern);
+          return false;
+        }
+      };
+      
+      const checks = {
+        url: (value) => target.toLowerCase().includes(String(value).toLowerCase()),
+        urlRegex: (value) => regex(value, target),
+        param: (value) => new URLSearchParams(window.location.search).has(value),
+        utm: (value) => hasUTMParameters() === Boolean(value),
+        selector: (value) => {
+          try {
+            return document.querySelector(value) !== null;
+          } catch (e) {
+            console.warn('[KP Analytics] Invalid selector in page rule:', rule.id, value);
+            return false;
+          }
+        },
+        jsonLd: (value) => findJsonLdEntity(value) !== null,
+        dataLayer: (value) => Array.isArray(window.dataLayer) &&
+          window.dataLayer.some(entry => entry && entry.event === value && !entry.kp_destination),
+        title: (value) => regex(value, document.title)
+      };
+      
+      const conditions = Object.keys(checks).filter(key => rule[key] !== undefined);
+      return conditions.length > 0 && conditions.every(key => checks[key](rule[key]));
+    }
+    
+    /**
+     * Classificeer de huidige pagina met de page rules
+     * Het resultaat wordt per route bewaard; evaluatePage() classificeert opnieuw (refresh),
+     * omdat een SPA de pagina (JSON-LD, dataLayer) pas na de navigatie rendert.
+     * 
+     * @param {boolean} refresh - Opnieuw classificeren in plaats van het bewaarde resultaat
+     * @returns {Object} { type, confidence, matched: [{ id, type, weight, negative }], scores: { type: score } }
+     *                   type is 'other' als geen type zijn threshold haalt
+     */
+    function classifyPage(refresh) {
+      const cached = state.pageClassification;
+      if (!refresh && cached && cached.route === state.route) {
+        return cached.result;
+      }
+      
+      const rules = BUILTIN_PAGE_RULES
+        .filter(rule => !config.pages.disable.includes(rule.id))
+        .concat(config.pages.thankYouUrlOnly ? [{ id: 'ty_url_only', type: 'thank_you', weight: 0.3, urlRegex: THANK_YOU_URL }] : [])
+        .concat(config.pages.rules.filter(rule => isPlainObject(rule) && typeof rule.type === 'string'));
+      
+      const totals = {};
+      const matched = [];
+      rules.forEach(rule => {
+        if (!matchPageRule(rule)) return;
+        
+        const weight = typeof rule.weight === 'number' && isFinite(rule.weight) ? Math.abs(rule.weight) : 0.5;
+        totals[rule.type] = (totals[rule.type] || 0) + (rule.negative ? -weight : weight);
+        matched.push({ id: rule.id || null, type: rule.type, weight: weight, negative: Boolean(rule.negative) });
+      });
+      
+      const scores = {};
+      Object.keys(totals).forEach(type => {
+        scores[type] = Math.round(Math.min(1, Math.max(0, totals[type])) * 100) / 100;
+      });
+      
+      const best = Object.keys(scores).sort((a, b) => scores[b] - scores[a])[0];
+      const confidence = best ? scores[best] : 0;
+      const result = {
+        type: best && confidence > 0 && confidence >= getPageThreshold(best) ? best : 'other',
+        confidence: confidence,
+        candidate: best && confidence > 0 ? best : null,
+        matched: matched,
+        scores: scores
+      };
+      state.pageClassification = { route: state.route, result: result };
+      return result;
+    }
+    
+    /**
+     * Check of er UTM parameters in de URL staan
+     */
+    function hasUTMParameters() {
+      const urlParams = new URLSearchParams(window.location.search);
+      // Alleen checken op AI sources uit config (default: bluestars-ai-site)
+      return isAISource(urlParams.get('utm_source'));
+    }
+    
+    /**
+     * Telt deze utm_source als AI verkeer? (utmSource + campaign.sources)
+     */
+    function isAISource(source) {
+      return typeof source === 'string' && [config.utmSource].concat(config.campaign.sources).includes(source);
+    }
+    
+    // Afgeleide source / medium voor click IDs zonder utm parameters
+    const CLICK_ID_SOURCES = {
+      gclid: ['google', 'cpc'],
+      fbclid: ['facebook', 'paid_social'],
+      msclkid: ['bing', 'cpc']
+    };
+    
+    /**
+     * Hoort een hostname bij deze shop? (zelfde domein of subdomein, bijv. checkout.kunstpakket.nl)
+     */
+    function isOwnHost(hostname) {
+      const strip = (host) => host.toLowerCase().replace(/^www\./, '');
+      const own = strip(config.identity.cookieDomain || window.location.hostname).replace(/^\./, '');
+      const host = strip(hostname);
+      return host === own || host.endsWith('.' + own) || own.endsWith('.' + host);
+    }
+    
+    /**
+     * Lees de campagne context van de huidige pagina
+     * Geeft null bij een direct of intern bezoek.
+     * 
+     * @param {boolean} includeReferrer - false bij SPA navigatie (document.referrer is dan nog die van de landing)
+     */
+    function readCampaignContext(includeReferrer) {
+      const params = new URLSearchParams(window.location.search);
+      const clean = (name, lowercase) => {
+        const value = (params.get(name) || '').trim().slice(0, 200);
+        return value ? (lowercase ? value.toLowerCase() : value) : null;
+      };
+      
+      const context = {
+        source: clean('utm_source', true),
+        medium: clean('utm_medium', true),
+        campaign: clean('utm_campaign', true),
+        term: clean('utm_term', false),
+        content: clean('utm_content', false),
+        click_ids: {},
+        referrer: null,
+        referrer_host: null,
+        landing_page: window.location.href,
+        ai_source: false,
+        captured_at: Date.now()
+      };
+      
+      config.campaign.clickIds.forEach(name => {
+        const value = clean(name, false);
+        if (value) context.click_ids[name] = value;
+      });
+      
+      if (includeReferrer && document.referrer) {
+        try {
+          const referrer = new URL(document.referrer);
+          if (!isOwnHost(referrer.hostname)) {
+            // Zonder query string: die kan persoonsgegevens bevatten
+            context.referrer = referrer.origin + referrer.pathname;
+            context.referrer_host = referrer.hostname.toLowerCase();
+          }
+        } catch (e) {
+          // Ongeldige referrer: negeren
+        }
+      }
+      
+      const clickIds = Object.keys(context.click_ids);
+      if (!context.source && clickIds.length === 0 && !context.referrer_host) {
+        return null;
+      }
+      
+      // Zonder utm_source: afleiden uit click ID of referrer
+      if (!context.source) {
+        const derived = CLICK_ID_SOURCES[clickIds.find(name => CLICK_ID_SOURCES[name])];
+        if (derived) {
+          context.source = derived[0];
+          context.medium = context.medium || derived[1];
+        } else if (context.referrer_host) {
+          context.source = context.referrer_host.replace(/^www\./, '');
+          context.medium = context.medium || 'referral';
+        }
+      }
+      
+      context.ai_source = isAISource(params.get('utm_source'));
+      return context;
+    }
+    
+    /**
+     * Lees first / last touch (verlopen touches buiten het attribution window vervallen)
+     */
+    function readCampaignStore() {
+      let store = state.campaign;
+      if (!store) {
+        try {
+          store = JSON.parse(localStorage.getItem(storageKey('campaign')));
+        } catch (e) {
+          // Corrupt of geen localStorage
+        }
+      }
+      
+      const windowMs = config.attribution.windowDays * 24 * 60 * 60 * 1000;
+      const valid = (touch) => (touch && typeof touch.captured_at === 'number' && Date.now() - touch.captured_at <= windowMs ? touch : null);
+      
+      return {
+        first_touch: valid(store && store.first_touch),
+        last_touch: valid(store && store.last_touch)
+      };
+    }
+    
+    /**
+     * Leg de campagne context vast bij binnenkomst (en bij SPA navigatie met nieuwe parameters)
+     */
+    function captureCampaign(includeReferrer) {
+      const context = readCampaignContext(includeReferrer);
+      if (!context) return;
+      
+      const store = readCampaignStore();
+      const signature = (touch) => JSON.stringify([touch.source, touch.medium, touch.campaign, touch.term, touch.content, touch.click_ids, touch.referrer_host]);
+      
+      // Refresh of terug naar de landingspagina: geen nieuwe touch
+      if (store.last_touch && signature(store.last_touch) === signature(context) &&
+          Date.now() - store.last_touch.captured_at <= config.identity.sessionTimeout) {
+        return;
+      }
+      
+      state.campaign = {
+        first_touch: store.first_touch || context,
+        last_touch: context
+      };
+      
+      const snapshot = state.campaign;
+      whenConsented(() => {
+        try {
+          localStorage.setItem(storageKey('campaign'), JSON.stringify(snapshot));
+        } catch (e) {
+          console.warn('[KP Analytics] Failed to save to localStorage:', e);
+        }
+      });
+    }
+    
+    /**
+     * First / last touch voor view en purchase payloads
+     */
+    function getCampaignContext() {
+      return readCampaignStore();
+    }
+    
+    /**
+     * Check of we op thank you pagina zijn (classificatie boven de thank_you threshold)
+     * Een los woord als "bedankt" in URL of titel is niet genoeg (nieuwsbrief / contact bedankpagina's).
+     */
+    function isThankYouPage() {
+      return getPageType() === 'thank_you';
+    }
+    
+    /**
+     * Extract product price uit URL of pagina (verkoopprijs, geen oude prijs of verzendkosten)
+     * Geeft { amount, currency, source } of null
+     */
+    function extractProductPrice() {
+      return runExtractor('product_price');
+    }
+    
+    const LEGACY_PRODUCT_KEYS = ['product_id', 'product_url', 'product_title', 'product_price', 'view_timestamp'];
+    
+    /**
+     * Lees product info uit de oude kp_product_* keys (oudere widget versies) als journal entries
+     * De keys blijven staan; readAttributionJournal() haalt ze pas weg als de journal geschreven is.
+     */
+    function readLegacyProductInfo() {
+      const viewTimestamp = localStorage.getItem(storageKey('view_timestamp'));
+      if (!viewTimestamp) return [];
+      
+      const productPrice = localStorage.getItem(storageKey('product_price'));
+      const entry = {
+        view_id: null,
+        product_id: localStorage.getItem(storageKey('product_id')) || null,
+        product_url: localStorage.getItem(storageKey('product_url')) || null,
+        product_title: localStorage.getItem(storageKey('product_title')) || null,
+        product_price: productPrice ? parseFloat(productPrice) : null,
+        viewed_at: parseInt(viewTimestamp, 10)
+      };
+      
+      return isNaN(entry.viewed_at) ? [] : [entry];
+    }
+    
+    /**
+     * Lees attribution journal uit localStorage
+     * Ongeldige entries en views buiten het attribution window worden opgeruimd,
+     * behalve met readOnly (diagnostics).
+     */
+    function readAttributionJournal(readOnly) {
+      try {
+        let entries;
+        try {
+          const parsed = JSON.parse(localStorage.getItem(storageKey('attribution_journal')) || '[]');
+          entries = Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+          // Corrupte journal: opnieuw beginnen
+          entries = [];
+        }
+        
+        const legacy = readLegacyProductInfo();
+        const windowMs = config.attribution.windowDays * 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        
+        const valid = legacy.concat(entries)
+          .filter(entry => entry && typeof entry.viewed_at === 'number' && now - entry.viewed_at <= windowMs)
+          .sort((a, b) => a.viewed_at - b.viewed_at);
+        
+        if (!readOnly && (legacy.length > 0 || valid.length !== entries.length)) {
+          // Oude keys pas opruimen als de gemigreerde journal echt opgeslagen is
+          if (writeAttributionJournal(valid) && legacy.length > 0) {
+            LEGACY_PRODUCT_KEYS.forEach(key => localStorage.removeItem(storageKey(key)));
+          }
+        }
+        return valid;
+      } catch (e) {
+        console.warn('[KP Analytics] Failed to read from localStorage:', e);
+        return [];
+      }
+    }
+    
+    /**
+     * Schrijf attribution journal naar localStorage
+     * Boven maxEntries vallen de middelste views weg; de eerste view blijft staan voor first_touch.
+     * Geeft false als localStorage niet beschikbaar of vol is.
+     */
+    function writeAttributionJournal(entries) {
+      try {
+        const max = config.attribution.maxEntries;
+        const capped = entries.length <= max ? entries
+          : max > 1 ? [entries[0]].concat(entries.slice(-(max - 1))) : entries.slice(-1);
+        if (capped.length > 0) {
+          localStorage.setItem(storageKey('attribution_journal'), JSON.stringify(capped));
+        } else {
+          localStorage.removeItem(storageKey('attribution_journal'));
+        }
+        return true;
+      } catch (e) {
+        console.warn('[KP Analytics] Failed to save to localStorage:', e);
+        return false;
+      }
+    }
+    
+    /**
+     * Sla product view info op in de attribution journal
+     */
+    function saveProductViewInfo(viewId) {
+      const productPrice = extractProductPrice(); // Extract price from URL or DOM
+      const entry = {
+        view_id: viewId || null,
+        product_id: extractProductId(),
+        product_url: window.location.href,
+        product_title: extractProductTitle(),
+        product_price: productPrice ? productPrice.amount : null,
+        currency: productPrice ? productPrice.currency : null,
+        extraction_sources: getExtractionSources(['product_id', 'product_title', 'product_price']),
+        campaign: getCampaignContext().last_touch,
+        viewed_at: Date.now()
+      };
+      
+      // Pas opslaan na consent
+      whenConsented(() => {
+        const journal = readAttributionJournal();
+        journal.push(entry);
+        writeAttributionJournal(journal);
+      });
+    }
+    
+    /**
+     * Track product page view
+     * Alleen als er UTM parameters in de URL staan!
+     */
+    function trackProductView() {
+      // Alleen tracken als er UTM parameters zijn
+      if (!hasUTMParameters()) {
+        return;
+      }
+
+      // Prevent double tracking
+      if (state.productViewTracked) return;
+
+      const productId = extractProductId();
+      const productUrl = window.location.href;
+      const productTitle = extractProductTitle();
+      const productPrice = extractProductPrice();
+      const viewId = generateEventId();
+
+      // Track view event
+      trackEvent({
+        event_id: viewId,
+        event: 'view',
+        product_id: productId,
+        product_url: productUrl,
+        product_title: productTitle,
+        product_price: productPrice ? productPrice.amount : null,
+        currency: productPrice ? productPrice.currency : null,
+        extraction_sources: getExtractionSources(['product_id', 'product_title', 'product_price']),
+        campaign: getCampaignContext()
+      });
+
+      // Sla info op in localStorage voor purchase tracking
+      saveProductViewInfo(viewId);
+      
+      // Meet wat de bezoeker daarna op de pagina doet
+      startEngagement(viewId, productId);
+
+      state.productViewTracked = true;
+    }
+    
+    /**
+     * Start engagement meting voor een AI-referred product view
+     */
+    function startEngagement(viewId, productId) {
+      if (!config.engagement.enabled) return;
+      
+      const now = Date.now();
+      const visible = document.visibilityState !== 'hidden';
+      state.engagement = {
+        view_id: viewId,
+        product_id: productId,
+        product_url: window.location.href,
+        started_at: now,
+        active_ms: 0,
+        active_since: visible ? now : null,
+        last_input: now,
+        max_scroll_percent: 0,
+        gallery_interactions: 0,
+        description_clicks: 0,
+        review_clicks: 0
+      };
+      updateScrollDepth(state.engagement);
+    }
+    
+    /**
+     * Tel actieve tijd tot nu (maximaal idleTimeout na de laatste input)
+     */
+    function accrueActiveTime(engagement, now) {
+      if (engagement.active_since === null) return;
+      
+      const end = Math.min(now, engagement.last_input + config.engagement.idleTimeout);
+      engagement.active_ms += Math.max(0, end - engagement.active_since);
+      engagement.active_since = end < now ? null : now;
+    }
+    
+    /**
+     * Input van de bezoeker: actieve tijd loopt (weer)
+     */
+    function handleEngagementActivity() {
+      if (!state.engagement) return;
+      
+      const now = Date.now();
+      accrueActiveTime(state.engagement, now);
+      state.engagement.last_input = now;
+      if (state.engagement.active_since === null && document.visibilityState !== 'hidden') {
+        state.engagement.active_since = now;
+      }
+    }
+    
+    function handleEngagementVisibility() {
+      if (!state.engagement) return;
+      
+      const now = Date.now();
+      accrueActiveTime(state.engagement, now);
+      state.engagement.active_since = null;
+      if (document.visibilityState !== 'hidden') {
+        state.engagement.last_input = now;
+        state.engagement.active_since = now;
+      }
+    }
+    
+    /**
+     * Maximale scroll diepte (% van de pagina dat in beeld is geweest)
+     */
+    function updateScrollDepth(engagement) {
+      if (!engagement) return;
+      
+      const height = Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0);
+      const bottom = (window.scrollY || window.pageYOffset || 0) + window.innerHeight;
+      const percent = height > 0 ? Math.min(100, Math.round(bottom / height * 100)) : 100;
+      engagement.max_scroll_percent = Math.max(engagement.max_scroll_percent, percent);
+    }
+    
+    /**
+     * Ligt het event target binnen een van de engagement selectors?
+     */
+    function isInside(target, selectors) {
+      if (!target || typeof target.closest !== 'function' || selectors.length === 0) return false;
+      try {
+        return target.closest(selectors.join(', ')) !== null;
+      } catch (e) {
+        return false;  // Ongeldige selector in config
+      }
+    }
+    
+    /**
+     * Clicks in gallery, beschrijving of reviews
+     */
+    function handleEngagementClick(e) {
+      handleEngagementActivity();
+      if (!state.engagement) return;
+      
+      const selectors = config.engagement.selectors;
+      if (isInside(e.target, selectors.gallery)) state.engagement.gallery_interactions++;
+      if (isInside(e.target, selectors.description)) state.engagement.description_clicks++;
+      if (isInside(e.target, selectors.reviews)) state.engagement.review_clicks++;
+    }
+    
+    /**
+     * Verstuur de engagement samenvatting (1x per view)
+     * 
+     * @param {string} reason - 'pagehide' of 'navigation'
+     */
+    function finishEngagement(reason) {
+      const engagement = state.engagement;
+      if (!engagement) return;
+      state.engagement = null;
+      
+      const now = Date.now();
+      accrueActiveTime(engagement, now);
+      updateScrollDepth(engagement);
+      
+      trackEvent({
+        event: 'engagement',
+        view_id: engagement.view_id,
+        product_id: engagement.product_id,
+        product_url: engagement.product_url,
+        active_ms: Math.round(engagement.active_ms),
+        total_ms: now - engagement.started_at,
+        max_scroll_percent: engagement.max_scroll_percent,
+        gallery_interactions: engagement.gallery_interactions,
+        description_clicks: engagement.description_clicks,
+        review_clicks: engagement.review_clicks,
+        reason: reason
+      });
+    }
+    
+    /**
+     * AI-referred product waar funnel events aan gekoppeld worden (null = geen AI bezoeker)
+     */
+    function getFunnelContext() {
+      const stored = getStoredProductInfo();
+      if (!stored) return null;
+      
+      const primary = stored.attributed_views[stored.attributed_views.length - 1];
+      return {
+        ai_product_id: stored.product_id,
+        ai_product_title: stored.product_title,
+        ai_view_id: primary.view_id || null,
+        ai_product_ids: stored.attributed_views.map(view => view.product_id).filter(Boolean)
+      };
+    }
+    
+    /**
+     * Past een pad bij een URL patroon? (deel van het pad, hoofdletterongevoelig)
+     */
+    function pathMatches(pattern) {
+      return typeof pattern === 'string' && pattern !== '' &&
+        window.location.pathname.toLowerCase().includes(pattern.toLowerCase());
+    }
+    
+    /**
+     * Lees product en aantal uit een add-to-cart formulier
+     */
+    function readCartForm(form) {
+      if (!form || typeof form.querySelector !== 'function') return {};
+      
+      const field = (names) => {
+        const input = names.map(name => form.querySelector(`[name="${name}"]`)).find(Boolean);
+        return input && input.value ? input.value : null;
+      };
+      const quantity = toAmount(field(['quantity', 'qty']));
+      return {
+        product_id: field(['product_id', 'add-to-cart', 'variant_id', 'id']),
+        quantity: quantity && quantity > 0 ? quantity : null
+      };
+    }
+    
+    /**
+     * Track add_to_cart (max 1x per funnel.dedupeMs)
+     * 
+     * @param {string} trigger - 'form' | 'button' | 'request'
+     * @param {Object} details - { product_id, quantity, request_url } (optioneel)
+     */
+    function trackAddToCart(trigger, details) {
+      const context = getFunnelContext();
+      if (!context) return;
+      
+      const now = Date.now();
+      if (now - state.lastAddToCart < config.funnel.dedupeMs) return;
+      state.lastAddToCart = now;
+      
+      const productId = (details && details.product_id) || extractProductId();
+      trackEvent({
+        event: 'add_to_cart',
+        product_id: productId,
+        product_title: extractProductTitle(),
+        quantity: (details && details.quantity) || 1,
+        trigger: trigger,
+        request_url: (details && details.request_url) || null,
+        is_ai_product: productId !== null && context.ai_product_ids.includes(String(productId)),
+        page_url: window.location.href,
+        ...context
+      });
+    }
+    
+    /**
+     * Cart pagina of checkout stap? (1x per route, niet op de thank you pagina)
+     */
+    function trackFunnelPage() {
+      if (state.funnelPageTracked || isThankYouPage()) return;
+      state.funnelPageTracked = true;
+      
+      const step = config.funnel.checkoutSteps
+        .filter(candidate => candidate && typeof candidate.name === 'string' && pathMatches(candidate.url))
+        .sort((a, b) => b.url.length - a.url.length)[0];
+      const isCart = config.funnel.cartPages.some(pathMatches);
+      if (!step && !isCart) return;
+      
+      const context = getFunnelContext();
+      if (!context) return;
+      
+      trackEvent({
+        event: step ? 'checkout_step' : 'cart_view',
+        ...(step ? { step: step.name } : {}),
+        page_url: window.location.href,
+        ...context
+      });
+    }
+    
+    /**
+     * Is dit een add-to-cart request? (POST naar een URL uit funnel.addToCart.requests)
+     */
+    function isCartRequest(method, url) {
+      return String(method || 'GET').toUpperCase() === 'POST' &&
+        config.funnel.addToCart.requests.some(pattern => typeof pattern === 'string' && String(url).includes(pattern));
+    }
+    
+    /**
+     * Detectie van add-to-cart: formulieren, knoppen en cart API calls (fetch / XHR)
+     */
+    function initFunnel() {
+      if (!config.funnel.enabled) return;
+      const selectors = config.funnel.addToCart;
+      
+      listen(document, 'submit', (e) => {
+        if (isInside(e.target, selectors.forms)) {
+          trackAddToCart('form', readCartForm(e.target));
+        }
+      }, true);
+      
+      listen(document, 'click', (e) => {
+        if (isInside(e.target, selectors.buttons)) {
+          const button = e.target.closest(selectors.buttons.join(', '));
+          trackAddToCart('button', readCartForm(button.form || button.closest('form')));
+        }
+      }, true);
+      
+      // fetch: pas tellen als de request gelukt is
+      if (typeof window.fetch === 'function') {
+        wrapMethod(window, 'fetch', (args, result) => {
+          const input = args[0];
+          const url = typeof input === 'string' ? input : input && input.url;
+          const method = (args[1] && args[1].method) || (input && typeof input === 'object' && input.method);
+          
+          if (url && isCartRequest(method, url) && result && typeof result.then === 'function') {
+            result.then(response => {
+              if (response && response.ok) trackAddToCart('request', { request_url: url });
+            }, () => {});
+          }
+        });
+      }
+      
+      // XHR: method / URL uit open(), resultaat na load
+      if (window.XMLHttpRequest && window.XMLHttpRequest.prototype) {
+        const proto = window.XMLHttpRequest.prototype;
+        wrapMethod(proto, 'open', (args, result, xhr) => {
+          state.xhrRequests.set(xhr, { method: args[0], url: String(args[1]) });
+        });
+        wrapMethod(proto, 'send', (args, result, xhr) => {
+          const request = state.xhrRequests.get(xhr);
+          if (!request || !isCartRequest(request.method, request.url)) return;
+          
+          xhr.addEventListener('load', () => {
+            if (xhr.status >= 200 && xhr.status < 300) trackAddToCart('request', { request_url: request.url });
+          });
+        });
+      }
+    }
+    
+    /**
+     * Listeners voor de engagement meting (doen niets zonder actieve meting)
+     */
+    function initEngagement() {
+      if (!config.engagement.enabled) return;
+      
+      const options = { passive: true, capture: true };
+      ['keydown', 'mousemove', 'wheel', 'touchstart'].forEach(type => {
+        listen(document, type, handleEngagementActivity, options);
+      });
+      listen(document, 'click', handleEngagementClick, options);
+      listen(window, 'scroll', () => {
+        handleEngagementActivity();
+        updateScrollDepth(state.engagement);
+      }, { passive: true });
+      listen(document, 'visibilitychange', handleEngagementVisibility);
+      
+      // Swipes in een gallery (touch sliders) tellen ook als interactie; een tap is al een click
+      let touchStartX = null;
+      listen(document, 'touchstart', (e) => {
+        touchStartX = e.changedTouches && e.changedTouches[0] ? e.changedTouches[0].clientX : null;
+      }, options);
+      listen(document, 'touchend', (e) => {
+        const touch = e.changedTouches && e.changedTouches[0];
+        if (state.engagement && touch && touchStartX !== null && Math.abs(touch.clientX - touchStartX) > 30 &&
+            isInside(e.target, config.engagement.selectors.gallery)) {
+          state.engagement.gallery_interactions++;
+        }
+        touchStartX = null;
+      }, options);
+    }
+    
+    /**
+     * Haal product info op uit de attribution journal
+     * Primair product = meest recente toegewezen view.
+     */
+    function getStoredProductInfo() {
+      const attributed = getAttributedViews(readAttributionJournal(), config.attribution.model);
+      if (attributed.length === 0) {
+        return null;
+      }
+      
+      const primary = attributed[attributed.length - 1];
+      return {
+        product_id: primary.product_id,
+        product_url: primary.product_url,
+        product_title: primary.product_title,
+        product_price: primary.product_price,
+        currency: primary.currency || null,
+        extraction_sources: primary.extraction_sources || null,
+        attributed_views: attributed
+      };
+    }
+    
+    /**
+     * Verwijder opgeslagen product info
+     */
+    function clearStoredProductInfo() {
+      try {
+        localStorage.removeItem(storageKey('attribution_journal'));
+      } catch (e) {
+        // Ignore
+      }
+    }
+    
+    /**
+     * Track purchase (thank you page)
+     * Gebruikt opgeslagen info uit localStorage
+     */
+    function trackPurchase() {
+      // Prevent double tracking
+      if (state.purchaseTracked) return;
+      state.purchaseTracked = true;
+      
+      // Volledige order (regels, valuta, etc.) als de pagina die aanbiedt
+      const details = extractPurchaseDetails();
+      
+      // Prevent double tracking over reloads / bezoeken heen
+      const pageOrderId = extractOrderId();
+      const orderId = pageOrderId || normalizeOrderId(details?.order_id);
+      const extractionSources = {
+        order_id: pageOrderId ? state.extractionSources.order_id : orderId ? `order_details:${details.source}` : null
+      };
+      if (isOrderReported(orderId)) {
+        console.log('[KP Analytics] ⏭️ Purchase already tracked:', orderId || window.location.href);
+        return;
+      }
+      
+      // Haal product info op uit localStorage (van product view)
+      const storedInfo = getStoredProductInfo();
+      
+      // Extract order_total (productprijs/orderwaarde) - VERPLICHT
+      // Probeer eerst van thank you pagina, anders van stored product_price
+      let orderTotal = details?.total || null;
+      let pageCurrency = null;
+      if (orderTotal) {
+        extractionSources.order_total = `order_details:${details.source}`;
+      } else {
+        const money = extractOrderTotal();
+        orderTotal = money ? money.amount : null;
+        pageCurrency = money ? money.currency : null;
+        extractionSources.order_total = state.extractionSources.order_total;
+      }
+      
+      // Fallback: gebruik product_price uit localStorage (van product view)
+      if (!orderTotal && storedInfo?.product_price) {
+        orderTotal = storedInfo.product_price;
+        extractionSources.order_total = 'stored_product_price';
+        console.log('[KP Analytics] Using product_price from localStorage as order_total:', orderTotal);
+      }
+      
+      // ⚠️ KRITIEK: Stop als order_total ontbreekt
+      if (!orderTotal || orderTotal <= 0) {
+        console.error('[KP Analytics] ❌ Order total not found or invalid:', orderTotal);
+        console.warn('[KP Analytics] Purchase not tracked - order_total is required');
+        state.purchaseTracked = false; // Reset zodat we kunnen retry
+        return;
+      }
+      
+      // Gebruik opgeslagen info, of fallback naar huidige pagina
+      const productId = storedInfo?.product_id || extractProductId();
+      const productUrl = storedInfo?.product_url || window.location.href;
+      const productTitle = storedInfo?.product_title || extractProductTitle();
+      ['product_id', 'product_title'].forEach(field => {
+        extractionSources[field] = storedInfo?.[field]
+          ? `view:${(storedInfo.extraction_sources || {})[field] || 'unknown'}`
+          : state.extractionSources[field] || null;
+      });
+      const attributedViews = storedInfo ? storedInfo.attributed_views : [];
+      const items = details ? details.items : [];
+      const attributedProductPurchased = isAttributedProductPurchased(items, attributedViews);
+      
+      // Bereken revenue (voor Bluestars) - VERPLICHT
+      const commission = computeCommission(config.commission.rules, {
+        order_total: orderTotal,
+        items: items,
+        attributed_views: attributedViews,
+        attributed_product_purchased: attributedProductPurchased,
+        days_since_view: getDaysSinceView(attributedViews, Date.now())
+      });
+      const revenue = commission.revenue;
+
+      console.log('[KP Analytics] 📦 Tracking purchase:', {
+        order_id: orderId,
+        product_id: productId,
+        product_title: productTitle,
+        order_total: orderTotal,
+        items: items.length,
+        revenue: revenue
+      });
+      
+      // Track purchase event
+      trackEvent({
+        event: 'purchase',
+        order_id: orderId,
+        product_id: productId,
+        product_url: productUrl,
+        product_title: productTitle,
+        order_total: orderTotal,  // VERPLICHT: Productprijs/orderwaarde
+        revenue: revenue,         // VERPLICHT: Revenue voor Bluestars
+        commission_rule_id: commission.rule_id,
+        commission_base: commission.base,
+        currency: details?.currency || pageCurrency || storedInfo?.currency || 'EUR',
+        shipping: details?.shipping ?? null,
+        tax: details?.tax ?? null,
+        discount: details?.discount ?? null,
+        items: items,
+        order_source: details ? details.source : null,
+        attributed_product_purchased: attributedProductPurchased,
+        attribution_model: config.attribution.model,
+        attributed_views: attributedViews,
+        extraction_sources: extractionSources,
+        campaign: getCampaignContext(),
+        variants: getVariants()
+      });
+      
+      whenConsented(() => {
+        markOrderReported(orderId);
+        
+        // Verwijder opgeslagen info na purchase
+        clearStoredProductInfo();
+      });
+    }
+    
+    /**
+     * Injecteer AI banner in config.bannerSelector (default .container-bar)
+     * LOS VAN ANALYTICS - Banner wordt alleen getoond als feature flag actief is
+     */
+    function injectAIBanner() {
+      // Check feature flag
+      if (!isFeatureEnabled() || !config.bannerSelector) {
+        return;
+      }
+      
+      // Optioneel experiment 'banner' (variant payload: { text })
+      const experiment = useFlag('banner');
+      if (experiment.source !== 'undefined' && !experiment.enabled) {
+        return;
+      }
+      const text = escapeHtml(experiment.payload.text || 'Cadeautips van Frederique AI');
+      
+      const selector = config.bannerSelector;
+      const aiBannerHTML = `
+        <div class="kp-ai-banner"${experiment.variant ? ` data-kp-variant="${escapeHtml(experiment.variant)}"` : ''}>
+          <div class="kp-ai-banner-content">
+            ${config.chat.enabled
+              ? `<button type="button" class="kp-ai-link" data-kp-chat>${text}</button>`
+              : `<span class="kp-ai-text">${text}</span>`}
+            ${config.banners.closeButton ? '<button type="button" class="kp-ai-close" data-kp-dismiss aria-label="Sluiten">&times;</button>' : ''}
+          </div>
+        </div>
+      `;
+      
+      const aiBannerCSS = `
+        :host {
+          display: block;
+          padding: 15px;
+        }
+        
+        .kp-ai-banner {
+          position: relative;
+          margin: 15px 0;
+          padding: 0;
+          border-radius: 12px;
+          background: transparent;
+          box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1);
+          display: block;
+          visibility: visible;
+          opacity: 1;
+          z-index: 9999;
+          width: 100%;
+          box-sizing: border-box;
+        }
+        
+        .kp-ai-banner::before {
+          content: '';
+          position: absolute;
+          inset: 0;
+          border-radius: 12px;
+          padding: 1px;
+          background: linear-gradient(90deg, 
+            #ff0080, #ff8c00, #ffd700, #32cd32, #00ced1, #1e90ff, #8a2be2, #ff0080, #ff8c00, #ffd700, #32cd32, #00ced1, #1e90ff, #8a2be2, #ff0080
+          );
+          background-size: 400% 100%;
+          animation: kp-rainbow-border 3s linear infinite;
+          -webkit-mask: 
+            linear-gradient(#fff 0 0) content-box, 
+            linear-gradient(#fff 0 0);
+          -webkit-mask-composite: xor;
+          mask-composite: exclude;
+          z-index: 0;
+        }
+        
+@keyframes kp-rainbow-border {
+          0% { 
+            background-position: 0% 0%;
+          }
+          100% { 
+            background-position: 100% 0%;
+          }
+        }
+        
+        .kp-ai-banner-content {
+          background: white;
+          border-radius: 11px;
+          padding: 14px;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 12px;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+          position: relative;
+          z-index: 1;
+        }
+        
+        .kp-ai-text {
+          font-size: 16px;
+          font-weight: normal;
+          color: #333;
+          line-height: 1.4;
+          text-align: center;
+        }
+        
+        .kp-ai-link {
+          background: none;
+          padding: 0;
+          font: inherit;
+          font-size: 16px;
+          cursor: pointer;
+          border: 0;
+          color: #0066cc;
+          text-decoration: none;
+          font-weight: 700;
+          transition: all 0.3s ease;
+          border-bottom: 2px solid transparent;
+        }
+        
+        .kp-ai-link:hover {
+          color: #0052a3;
+          border-bottom-color: #0052a3;
+          transform: translateY(-1px);
+        }
+        
+        .kp-ai-link:active {
+          transform: translateY(0);
+        }
+        
+        .kp-ai-close {
+          position: absolute;
+          top: 4px;
+          right: 8px;
+          border: 0;
+          background: transparent;
+          color: #999;
+          font-size: 18px;
+          line-height: 1;
+          cursor: pointer;
+        }
+      `;
+      
+      // Shadow DOM: geen botsingen met de CSS van de shop; padding van de host wordt bij verwijderen hersteld
+      injectContent(selector, aiBannerHTML, aiBannerCSS, '', {
+        shadow: true,
+        hostStyle: { padding: '0' },
+        source: 'banner'
+      });
+    }
+    
+    /**
+     * Chat panel
+     * 
+     * Host de assistent (config.chat.url) in een iframe. Berichten gaan via postMessage en worden
+     * alleen geaccepteerd van het iframe zelf met de origin van config.chat.url.
+     * Elk bericht: { type, version: 1, ... }
+     * 
+     * assistent → widget
+     * - kp:ready         Assistent is geladen; widget antwoordt met kp:context
+     * - kp:open-product  { url, product_id } Open product van deze shop, met utm_source / utm_medium=chat / utm_content
+     * - kp:close         Sluit het panel
+     * 
+     * widget → assistent
+     * - kp:context       { context: { client_id, page_url, page_type, locale, product: { id, title, price, currency, url } | null } }
+     *                    Opnieuw verstuurd na SPA navigatie zolang het panel open is.
+     */
+    const CHAT_PROTOCOL_VERSION = 1;
+    
+    function getChatOrigin() {
+      return new URL(config.chat.url, window.location.href).origin;
+    }
+    
+    /**
+     * Product context voor de assistent (uit de bestaande extractors)
+     */
+    function getChatContext() {
+      const productId = extractProductId();
+      const price = extractProductPrice();
+      const onProduct = Boolean(productId) || isProductPage();
+      
+      return {
+        client_id: config.clientId,
+        page_url: window.location.href,
+        page_type: getPageType(),
+        locale: document.documentElement.lang || navigator.language || null,
+        product: onProduct ? {
+          id: productId,
+          title: extractProductTitle(),
+          price: price ? price.amount : null,
+          currency: price ? price.currency : null,
+          url: window.location.href
+        } : null
+      };
+    }
+    
+    function postToChat(type, data) {
+      const panel = state.chatPanel;
+      if (!panel || !panel.iframe.contentWindow) return;
+      panel.iframe.contentWindow.postMessage({ type: type, version: CHAT_PROTOCOL_VERSION, ...data }, getChatOrigin());
+    }
+    
+    function handleChatMessage(event) {
+      const panel = state.chatPanel;
+      if (!panel || event.source !== panel.iframe.contentWindow || event.origin !== getChatOrigin()) return;
+      
+      const message = event.data;
+      if (!isPlainObject(message) || typeof message.type !== 'string') return;
+      
+      switch (message.type) {
+        case 'kp:ready':
+          postToChat('kp:context', { context: getChatContext() });
+          break;
+        case 'kp:open-product':
+          openChatProduct(message);
+          break;
+        case 'kp:close':
+          closeChat();
+          break;
+        default:
+          console.warn('[KP Analytics] Unknown chat message:', message.type);
+      }
+    }
+    
+    /**
+     * Open een product uit de chat met UTM tagging, zodat de view aan de AI chat wordt toegeschreven
+     */
+    function openChatProduct(message) {
+      let url;
+      try {
+        url = new URL(String(message.url), window.location.href);
+      } catch (e) {
+        console.warn('[KP Analytics] Invalid product URL from chat:', message.url);
+        return;
+      }
+      
+      // Alleen producten van deze shop (zelfde domein of subdomein)
+      const siteHost = window.location.hostname.replace(/^www\./, '');
+      if (!/^https?:$/.test(url.protocol) || !(url.hostname === siteHost || url.hostname.endsWith('.' + siteHost))) {
+        console.warn('[KP Analytics] Product URL from chat rejected:', url.href);
+        return;
+      }
+      
+      const productId = message.product_id !== undefined && message.product_id !== null ? String(message.product_id) : null;
+      url.searchParams.set('utm_source', config.utmSource);
+      url.searchParams.set('utm_medium', 'chat');
+      if (productId) {
+        url.searchParams.set('utm_content', productId);
+      }
+      
+      trackEvent({
+        event: 'chat_open_product',
+        product_id: productId,
+        product_url: url.href,
+        page_type: getPageType()
+      });
+      
+      closeChat();
+      window.location.assign(url.href);
+    }
+    
+    /**
+     * Focus trap + Escape zolang het panel open is
+     */
+    function handleChatKeydown(e) {
+      const panel = state.chatPanel;
+      if (!panel) return;
+      
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        closeChat();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      
+      const focusable = Array.from(panel.overlay.querySelectorAll('button, iframe, [href], [tabindex]:not([tabindex="-1"])'));
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+      
+      if (!panel.overlay.contains(active)) {
+        e.preventDefault();
+        first.focus();
+      } else if (e.shiftKey && active === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+    
+    /**
+     * Open het chat panel (slide-over, full-screen op mobiel)
+     * 
+     * @param {Element} launcher - Element dat na sluiten weer focus krijgt (optioneel)
+     * @param {string} injectId - Injectie die het panel opende (optioneel, voor chat_open)
+     */
+    function openChat(launcher, injectId) {
+      if (!config.chat.enabled) return;
+      if (state.chatPanel) {
+        state.chatPanel.overlay.querySelector('iframe').focus();
+        return;
+      }
+      
+      const src = new URL(config.chat.url, window.location.href);
+      src.searchParams.set('embed', '1');
+      src.searchParams.set('client_id', config.clientId);
+      src.searchParams.set('origin', window.location.origin);
+      
+      const overlay = document.createElement('div');
+      overlay.id = `${cssPrefix}chat`;
+      overlay.append(
+        createStyle(`
+          #${overlay.id} { position: fixed; inset: 0; z-index: 2147483646; }
+          #${overlay.id} .kp-chat-backdrop { position: absolute; inset: 0; background: rgba(0,0,0,.35); }
+          #${overlay.id} .kp-chat-panel { position: absolute; top: 0; right: 0; bottom: 0; width: 420px; max-width: 100%;
+            display: flex; flex-direction: column; background: #fff; box-shadow: -4px 0 20px rgba(0,0,0,.2);
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+          #${overlay.id} .kp-chat-header { display: flex; align-items: center; justify-content: space-between;
+            padding: 12px 16px; border-bottom: 1px solid #eee; font-size: 16px; color: #333; }
+          #${overlay.id} .kp-chat-close { border: 0; background: transparent; font-size: 24px; line-height: 1; cursor: pointer; color: #666; }
+          #${overlay.id} iframe { flex: 1; width: 100%; border: 0; }
+          @media (max-width: 640px) {
+            #${overlay.id} .kp-chat-panel { width: 100%; box-shadow: none; }
+            #${overlay.id} .kp-chat-backdrop { display: none; }
+          }
+        `),
+        createElement('div', { class: 'kp-chat-backdrop', 'data-kp-chat-close': '' }),
+        createElement('div', { class: 'kp-chat-panel', role: 'dialog', 'aria-modal': 'true', 'aria-label': config.chat.title }, [
+          createElement('div', { class: 'kp-chat-header' }, [
+            createElement('span', {}, [config.chat.title]),
+            createElement('button', { type: 'button', class: 'kp-chat-close', 'data-kp-chat-close': '', 'aria-label': 'Sluiten' }, ['\u00d7'])
+          ]),
+          createElement('iframe', { title: config.chat.title, src: src.href, allow: 'clipboard-write' })
+        ])
+      );
+      
+      overlay.addEventListener('click', (e) => {
+        if (e.target.closest('[data-kp-chat-close]')) closeChat();
+      });
+      
+      const root = document.documentElement;
+      const previousOverflow = root.style.overflow;
+      root.style.overflow = 'hidden';
+      document.body.appendChild(overlay);
+      
+      const offRoute = on('routechange', () => postToChat('kp:context', { context: getChatContext() }));
+      window.addEventListener('message', handleChatMessage);
+      document.addEventListener('keydown', handleChatKeydown, true);
+      
+      state.chatPanel = {
+        overlay: overlay,
+        iframe: overlay.querySelector('iframe'),
+        launcher: launcher || document.activeElement,
+        cleanup: () => {
+          offRoute();
+          window.removeEventListener('message', handleChatMessage);
+          document.removeEventListener('keydown', handleChatKeydown, true);
+          root.style.overflow = previousOverflow;
+        }
+      };
+      overlay.querySelector('.kp-chat-close').focus();
+      
+      trackEvent({
+        event: 'chat_open',
+        injection_id: injectId || null,
+        page_type: getPageType(),
+        product_id: extractProductId()
+      });
+    }
+    
+    /**
+     * Sluit het chat panel en geef de focus terug aan de launcher
+     */
+    function closeChat() {
+      const panel = state.chatPanel;
+      if (!panel) return;
+      
+      state.chatPanel = null;
+      panel.cleanup();
+      panel.overlay.remove();
+      if (panel.launcher && panel.launcher.isConnected && typeof panel.launcher.focus === 'function') {
+        panel.launcher.focus();
+      }
+    }
+    
+    /**
+     * Pagina type voor banner events
+     */
+    function getPageType() {
+      return classifyPage().type;
+    }
+    
+    /**
+     * Dismissals: { injectId: timestamp }, verlopen na config.banners.dismissDays
+     */
+    function readDismissedBanners() {
+      try {
+        const dismissed = JSON.parse(localStorage.getItem(storageKey('dismissed_banners')) || '{}') || {};
+        const cutoff = Date.now() - config.banners.dismissDays * 24 * 60 * 60 * 1000;
+        Object.keys(dismissed).forEach(id => {
+          if (dismissed[id] < cutoff) delete dismissed[id];
+        });
+        return dismissed;
+      } catch (e) {
+        return {};
+      }
+    }
+    
+    function isBannerDismissed(injectId) {
+      return Boolean(readDismissedBanners()[injectId]);
+    }
+    
+    function markBannerDismissed(injectId) {
+      try {
+        const dismissed = readDismissedBanners();
+        dismissed[injectId] = Date.now();
+        localStorage.setItem(storageKey('dismissed_banners'), JSON.stringify(dismissed));
+      } catch (e) {
+        // Alleen voor deze pageview
+      }
+    }
+    
+    /**
+     * Banner event met injectie ID, pagina type en (als aanwezig) experiment variant
+     */
+    function trackBannerEvent(eventName, wrapper, injectId, extra) {
+      const variantEl = (wrapper.shadowRoot || wrapper).querySelector('[data-kp-variant]');
+      trackEvent({
+        event: eventName,
+        injection_id: injectId,
+        page_type: getPageType(),
+        page_url: window.location.href,
+        variant: variantEl ? variantEl.getAttribute('data-kp-variant') : null,
+        ...extra
+      });
+    }
+    
+    /**
+     * Impressions: IntersectionObserver + dwell timer (geen impression zonder IntersectionObserver)
+     */
+    function handleIntersections(entries) {
+      entries.forEach(entry => {
+        const target = state.impressionTargets.get(entry.target);
+        if (!target || target.tracked) return;
+        
+        const visible = entry.isIntersecting && entry.intersectionRatio >= config.banners.visibleRatio;
+        if (!visible) {
+          clearTimeout(target.timer);
+          target.timer = null;
+          return;
+        }
+        if (target.timer) return;
+        
+        const dwell = () => {
+          // Tab op de achtergrond telt niet als gezien
+          if (document.visibilityState === 'hidden') {
+            target.timer = setTimeout(dwell, config.banners.impressionDwell);
+            return;
+          }
+          target.tracked = true;
+          target.timer = null;
+          state.impressionObserver.unobserve(entry.target);
+          state.impressionTargets.delete(entry.target);
+          trackBannerEvent('banner_impression', entry.target, target.injectId, {
+            dwell_ms: config.banners.impressionDwell
+          });
+        };
+        target.timer = setTimeout(dwell, config.banners.impressionDwell);
+      });
+    }
+    
+    function observeImpression(wrapper, injectId) {
+      if (typeof IntersectionObserver === 'undefined') return;
+      
+      if (!state.impressionObserver) {
+        state.impressionObserver = new IntersectionObserver(handleIntersections, {
+          threshold: [0, config.banners.visibleRatio]
+        });
+      }
+      state.impressionTargets.set(wrapper, { injectId: injectId, timer: null, tracked: false });
+      state.impressionObserver.observe(wrapper);
+    }
+    
+    /**
+     * Stop impression tracking voor content die niet meer in de DOM staat (na navigatie of destroy)
+     */
+    function pruneImpressionTargets(all) {
+      state.impressionTargets.forEach((target, wrapper) => {
+        if (!all && wrapper.isConnected) return;
+        clearTimeout(target.timer);
+        if (state.impressionObserver) state.impressionObserver.unobserve(wrapper);
+        state.impressionTargets.delete(wrapper);
+      });
+    }
+    
+    /**
+     * Instrumenteer geïnjecteerde content: impressions, clicks en dismiss
+     */
+    function instrumentInjection(wrapper, injectId) {
+      observeImpression(wrapper, injectId);
+      
+      // Bij Shadow DOM is e.target de host; het echte element staat vooraan in composedPath()
+      const root = wrapper.shadowRoot || wrapper;
+      wrapper.addEventListener('click', (e) => {
+        if (!state.started) return;
+        
+        const origin = e.composedPath ? e.composedPath()[0] : e.target;
+        if (!origin || typeof origin.closest !== 'function') return;
+        
+        const dismiss = origin.closest('[data-kp-dismiss]');
+        if (dismiss && root.contains(dismiss)) {
+          e.preventDefault();
+          markBannerDismissed(injectId);
+          trackBannerEvent('banner_dismiss', wrapper, injectId, {});
+          removeContent(injectId);
+          return;
+        }
+        
+        const control = origin.closest('a, button, [role="button"]');
+        if (!control || !root.contains(control)) return;
+        
+        trackBannerEvent('banner_click', wrapper, injectId, {
+          element: control.tagName.toLowerCase(),
+          href: control.getAttribute('href') || null,
+          label: (control.textContent || '').trim().slice(0, 100) || null
+        });
+        
+        // [data-kp-chat] opent het chat panel
+        if (control.hasAttribute('data-kp-chat')) {
+          e.preventDefault();
+          openChat(control, injectId);
+        }
+      });
+    }
+    
+    /**
+     * ID voor geïnjecteerde content (uniek per selector en per tracker instance)
+     */
+    function getInjectId(selector) {
+      return `${cssPrefix}injected-${selector.replace(/[^a-zA-Z0-9]/g, '-')}`;
+    }
+    
+    /**
+     * CSP nonce voor <style> / <script>: config, anders van de widget.js script tag
+     */
+    function getCspNonce() {
+      return config.injection.nonce || (currentScript && (currentScript.nonce || currentScript.getAttribute('nonce'))) || '';
+    }
+    
+    function applyNonce(el) {
+      const nonce = getCspNonce();
+      if (nonce) el.setAttribute('nonce', nonce);
+      return el;
+    }
+    
+    /**
+     * Trusted Types policy (alleen als de browser het ondersteunt)
+     * createHTML sanitized zelf (allowlist, zie sanitizeHtml): wie de policy ook aanroept, krijgt alleen
+     * gefilterde HTML. De enige uitzondering is de inerte parse in parseInert(), waarvan het resultaat
+     * direct naar sanitizeFragment gaat. De UI van de widget zelf gebruikt geen HTML strings, en HTML en
+     * JavaScript in unsafe mode gaan nooit door de policy: op een shop met Trusted Types blokkeert de browser die.
+     */
+    function getTrustedTypesPolicy() {
+      if (state.trustedTypesPolicy !== undefined) return state.trustedTypesPolicy;
+      state.trustedTypesPolicy = null;
+      
+      if (window.trustedTypes && typeof window.trustedTypes.createPolicy === 'function') {
+        try {
+          state.trustedTypesPolicy = window.trustedTypes.createPolicy(config.injection.trustedTypesPolicy, {
+            createHTML: (html) => {
+              if (state.parsingInert) return html;
+              const container = document.createElement('div');
+              container.appendChild(sanitizeHtml(html, []));
+              return container.innerHTML;
+            }
+          });
+        } catch (err) {
+          console.warn('[KP Analytics] Trusted Types policy not allowed:', config.injection.trustedTypesPolicy, err.message);
+        }
+      }
+      return state.trustedTypesPolicy;
+    }
+    
+    /**
+     * Parse HTML in een inerte <template> (scripts draaien niet, images laden niet)
+     * Alleen voor sanitizeHtml: het fragment is nog niet gefilterd.
+     */
+    function parseInert(html) {
+      const template = document.createElement('template');
+      const policy = getTrustedTypesPolicy();
+      state.parsingInert = true;
+      try {
+        template.innerHTML = policy ? policy.createHTML(html) : html;
+      } finally {
+        state.parsingInert = false;
+      }
+      return template.content;
+    }
+    
+    /**
+     * Parse HTML inert en sanitize het resultaat
+     */
+    function sanitizeHtml(html, rejected) {
+      return sanitizeFragment(parseInert(html), {
+        tags: config.injection.allowTags.map(tag => String(tag).toLowerCase()),
+        attributes: config.injection.allowAttributes.map(name => String(name).toLowerCase())
+      }, rejected);
+    }
+    
+    /**
+     * Behaviours: vooraf gebundelde JavaScript voor geïnjecteerde content
+     * behaviour(root, { injectId, selector, target, options }) → optionele cleanup functie (bij removeContent)
+     */
+    const BUILTIN_BEHAVIOURS = {
+      // Hele content werkt als chat launcher
+      'open-chat': (root, context) => {
+        const handler = (e) => {
+          e.preventDefault();
+          openChat(null, context.injectId);
+        };
+        root.addEventListener('click', handler);
+        return () => root.removeEventListener('click', handler);
+      },
+      // Content na options.seconds (default 10) weer weghalen
+      'auto-dismiss': (root, context) => {
+        const timer = setTimeout(() => removeContent(context.injectId), (context.options.seconds || 10) * 1000);
+        return () => clearTimeout(timer);
+      }
+    };
+    
+    /**
+     * Registreer een eigen behaviour (code uit je eigen bundle, niet uit remote rules)
+     */
+    function registerBehaviour(name, behaviour) {
+      if (typeof name !== 'string' || !/^[a-z0-9-]+$/.test(name) || typeof behaviour !== 'function') {
+        console.warn('[KP Analytics] Invalid behaviour registration:', name);
+        return false;
+      }
+      state.behaviours[name] = behaviour;
+      return true;
+    }
+    
+    /**
+     * Voer `js` van een injectie uit
+     * Safe mode: alleen behaviour namen ('open-chat', ['auto-dismiss'], { name, options }).
+     * Anders mag een string ook JavaScript zijn (oude gedrag).
+     */
+    function runInjectionScript(js, entry, root, rejected) {
+      const behaviours = { ...BUILTIN_BEHAVIOURS, ...state.behaviours };
+      const specs = (Array.isArray(js) ? js : [js]).map(spec => (isPlainObject(spec) ? spec : { name: spec, options: {} }));
+      
+      specs.forEach(spec => {
+        const behaviour = typeof spec.name === 'string' ? behaviours[spec.name] : null;
+        
+        if (behaviour) {
+          try {
+            const cleanup = behaviour(root, {
+              injectId: entry.id,
+              selector: entry.selector,
+              target: entry.target,
+              options: isPlainObject(spec.options) ? spec.options : {}
+            });
+            if (typeof cleanup === 'function') entry.cleanups.push(cleanup);
+          } catch (err) {
+            console.error('[KP Analytics] Behaviour error:', spec.name, err);
+          }
+          return;
+        }
+        
+        if (config.injection.safe || typeof spec.name !== 'string') {
+          rejected.push(/^[a-z0-9-]+$/.test(String(spec.name)) ? `behaviour:${spec.name}` : 'js:raw-script');
+          return;
+        }
+        
+        // Ruwe JavaScript (alleen met injection.safe = false)
+        try {
+          const script = applyNonce(document.createElement('script'));
+          script.textContent = spec.name;
+          document.head.appendChild(script);
+          entry.scripts.push(script);
+        } catch (err) {
+          console.error('[KP Analytics] JavaScript injection error:', err);
+        }
+      });
+    }
+    
+    /**
+     * Meld geweigerde content (console, diagnostics en `content_rejected` event)
+     */
+    function reportRejections(entry, rejected) {
+      const unique = Array.from(new Set(rejected));
+      console.warn(`[KP Analytics] ⚠️ Unsafe content rejected for ${entry.selector}:`, unique.join(', '));
+      
+      state.rejections.push({ time: Date.now(), injection_id: entry.id, rejected: unique });
+      if (state.rejections.length > 50) {
+        state.rejections.shift();
+      }
+      
+      trackEvent({
+        event: 'content_rejected',
+        injection_id: entry.id,
+        selector: entry.selector,
+        page_url: window.location.href,
+        rejected: unique.slice(0, 20)
+      });
+    }
     
-    // Inject AI banner in .container-bar (altijd)
-    injectAIBanner();
+    // Waar de content komt t.o.v. het target element
+    const PLACEMENTS = ['prepend', 'append', 'before', 'after', 'replace'];
     
-    // Listen for URL changes (SPA support)
-    if (window.history && window.history.pushState) {
-      const originalPushState = window.history.pushState;
-      window.history.pushState = function(...args) {
-        originalPushState.apply(window.history, args);
-        setTimeout(() => {
-          // Reset tracking flags on navigation
-          window.productViewTracked = false;
-          window.purchaseTracked = false;
+    /**
+     * Content Injection - Simple & Custom
+     * Injecteert HTML, CSS en JavaScript in een element
+     * Wacht (via waitForElement) tot het element bestaat; na een navigatie in de tussentijd wordt niets geïnjecteerd.
+     * Alles wat de injectie verandert wordt bijgehouden, zodat removeContent() het kan terugdraaien.
+     * 
+     * @param {string} selector - CSS selector waar content geïnjecteerd wordt (bijv. '#x', '.class')
+     * @param {string} html - HTML content (optioneel)
+     * @param {string} css - CSS styling (optioneel; bij shadow alleen binnen de content)
+     * @param {string|Array} js - Behaviour naam / namen (optioneel; ruwe JavaScript alleen met injection.safe = false)
+     * @param {Object} options - placement ('prepend' | 'append' | 'before' | 'after' | 'replace'),
+     *   shadow (Shadow DOM met scoped CSS), hostStyle ({ property: value } op het target, bijv. { padding: '0' })
+     * @returns {Promise<Element|null>} Het element, of null als het niet (op tijd) gevonden werd
+     */
+    function injectContent(selector, html, css, js, options = {}) {
+      // Check feature flag
+      if (!isFeatureEnabled()) {
+        console.log('[KP Analytics] ⏸️ Content injection disabled - add ?f=1 to URL to enable');
+        return Promise.resolve(null);
+      }
+      
+      let placement = options.placement || 'prepend';
+      if (!PLACEMENTS.includes(placement)) {
+        console.warn('[KP Analytics] Unknown placement, using prepend:', placement);
+        placement = 'prepend';
+      }
+      const route = state.route;
+      
+      return waitForElement(selector).then(element => {
+        if (!element) {
+          console.warn(`[KP Analytics] ⚠️ Content injection failed: ${selector}`);
+          return null;
+        }
+        if (route !== state.route) {
+          return null;
+        }
+        
+        // Check of al geïnjecteerd of weggeklikt
+        const injectId = getInjectId(selector);
+        const existing = state.injections.get(injectId);
+        if (existing && existing.target === element && (!existing.wrapper || existing.wrapper.isConnected)) {
+          return element;
+        }
+        if (existing) {
+          // Oude injectie (target of wrapper is door de SPA vervangen) eerst opruimen
+          removeContent(injectId);
+        }
+        if (isBannerDismissed(injectId)) {
+          return element;
+        }
+        
+        const entry = {
+          id: injectId,
+          selector: selector,
+          source: options.source || 'api',
+          target: element,
+          wrapper: null,
+          style: null,
+          scripts: [],
+          cleanups: [],  // Van behaviours
+          hostStyle: []  // Originele inline styles van het target
+        };
+        const rejected = [];
+        
+        // CSS die externe resources laadt kan data lekken (bijv. via attribute selectors)
+        if (css && config.injection.safe && UNSAFE_CSS.test(css)) {
+          rejected.push('css:external-resource');
+          css = '';
+        }
+        
+        // Inline styles op het target (hostStyle, en verbergen bij replace)
+        const hostStyle = {};
+        Object.keys(isPlainObject(options.hostStyle) ? options.hostStyle : {}).forEach(property => {
+          const name = property.toLowerCase();
+          const value = String(options.hostStyle[property]);
+          if (config.injection.safe && !SAFE_HOST_STYLES.includes(name)) {
+            rejected.push(`host-style:${name}`);
+          } else if (config.injection.safe && UNSAFE_CSS.test(value)) {
+            rejected.push('host-style:external-resource');
+          } else {
+            hostStyle[name] = value;
+          }
+        });
+        if (placement === 'replace') {
+          hostStyle.display = 'none';
+        }
+        Object.keys(hostStyle).forEach(property => {
+          entry.hostStyle.push({
+            property: property,
+            value: element.style.getPropertyValue(property),
+            priority: element.style.getPropertyPriority(property)
+          });
+          element.style.setProperty(property, hostStyle[property], 'important');
+        });
+        
+        // Injecteer HTML
+        if (html) {
+          const wrapper = document.createElement('div');
+          wrapper.setAttribute('data-kp-injected', injectId);
           
-          if (isProductPage()) {
-            trackProductView();
+          const root = options.shadow && typeof wrapper.attachShadow === 'function'
+            ? wrapper.attachShadow({ mode: 'open' })
+            : wrapper;
+          if (config.injection.safe) {
+            root.appendChild(sanitizeHtml(html, rejected));
+          } else {
+            try {
+              root.innerHTML = html;
+            } catch (err) {
+              // Trusted Types van de shop: unsafe HTML wordt niet doorgelaten
+              console.warn('[KP Analytics] Unsafe HTML blocked (use injection.safe):', err.message);
+              rejected.push('html:trusted-types');
+            }
+          }
+          if (root !== wrapper && css) {
+            const style = applyNonce(document.createElement('style'));
+            style.textContent = css;
+            root.insertBefore(style, root.firstChild);
           }
           
-          if (isThankYouPage()) {
-            trackPurchase();
+          // replace: target blijft bestaan (frameworks houden er referenties naar) maar wordt verborgen
+          if (placement === 'before' || placement === 'replace') {
+            element.parentNode.insertBefore(wrapper, element);
+          } else if (placement === 'after') {
+            element.parentNode.insertBefore(wrapper, element.nextSibling);
+          } else if (placement === 'append') {
+            element.appendChild(wrapper);
+          } else {
+            element.insertBefore(wrapper, element.firstChild);
           }
           
-          // Re-inject AI banner bij SPA navigatie
-          injectAIBanner();
-        }, 100);
+          entry.wrapper = wrapper;
+          instrumentInjection(wrapper, injectId);
+        }
+        
+        // Safe mode: CSS buiten een shadow root alleen binnen de eigen content
+        if (css && config.injection.safe && !(entry.wrapper && entry.wrapper.shadowRoot)) {
+          if (entry.wrapper) {
+            css = scopeCss(css, `[data-kp-injected="${injectId}"]`, rejected);
+          } else {
+            rejected.push('css:global');
+            css = '';
+          }
+        }
+        
+        // Injecteer CSS (bij shadow zit die al in de shadow root)
+        if (css && !(options.shadow && entry.wrapper && entry.wrapper.shadowRoot)) {
+          const cssId = `${cssPrefix}style-${selector.replace(/[^a-zA-Z0-9]/g, '-')}`;
+          let style = document.getElementById(cssId);
+          if (!style) {
+            style = applyNonce(document.createElement('style'));
+            style.id = cssId;
+            document.head.appendChild(style);
+          }
+          style.textContent = css;
+          entry.style = style;
+        }
+        
+        // JavaScript: behaviours (en in unsafe mode ruwe scripts)
+        state.injections.set(injectId, entry);
+        if (js && (!Array.isArray(js) || js.length > 0)) {
+          const root = entry.wrapper ? entry.wrapper.shadowRoot || entry.wrapper : element;
+          runInjectionScript(js, entry, root, rejected);
+        }
+        
+        if (rejected.length > 0) {
+          reportRejections(entry, rejected);
+        }
+        return element;
+      });
+    }
+    
+    /**
+     * Verwijder geïnjecteerde content en herstel het target (inline styles, verborgen element)
+     * 
+     * @param {string} id - Injectie ID (data-kp-injected) of de selector van de injectie
+     * @returns {boolean} true als er iets verwijderd is
+     */
+    function removeContent(id) {
+      const injectId = state.injections.has(id) ? id : getInjectId(String(id));
+      const entry = state.injections.get(injectId);
+      if (!entry) return false;
+      
+      state.injections.delete(injectId);
+      
+      if (entry.wrapper) {
+        entry.wrapper.remove();
+      }
+      if (entry.style) {
+        entry.style.remove();
+      }
+      entry.scripts.forEach(script => script.remove());
+      entry.cleanups.forEach(cleanup => {
+        try {
+          cleanup();
+        } catch (err) {
+          console.warn('[KP Analytics] Behaviour cleanup error:', err.message);
+        }
+      });
+      entry.hostStyle.forEach(original => {
+        if (original.value) {
+          entry.target.style.setProperty(original.property, original.value, original.priority);
+        } else {
+          entry.target.style.removeProperty(original.property);
+        }
+      });
+      if (entry.target.getAttribute('style') === '') {
+        entry.target.removeAttribute('style');
+      }
+      
+      pruneImpressionTargets(false);
+      return true;
+    }
+    
+    /**
+     * Verwijder alle geïnjecteerde content van deze tracker
+     */
+    function removeAll() {
+      const ids = Array.from(state.injections.keys());
+      ids.forEach(removeContent);
+      return ids.length;
+    }
+    
+    /**
+     * Condities voor content rules
+     * Een rule mag ook een eigen function als condition meegeven.
+     */
+    const CONTENT_CONDITIONS = {
+      always: () => true,
+      hasUTMParams: () => hasUTMParameters(),
+      isProductPage: () => isProductPage(),
+      isThankYouPage: () => isThankYouPage()
+    };
+    
+    /**
+     * Evalueer de condition van een content rule
+     */
+    function evaluateContentCondition(condition) {
+      // Geen condition = altijd injecteren
+      if (condition === undefined || condition === null || condition === '') {
+        return true;
+      }
+      
+      if (typeof condition === 'function') {
+        try {
+          return Boolean(condition());
+        } catch (err) {
+          console.warn('[KP Analytics] Content condition error:', err.message);
+          return false;
+        }
+      }
+      
+      const check = CONTENT_CONDITIONS[condition];
+      if (!check) {
+        console.warn('[KP Analytics] Unknown content condition:', condition);
+        return false;
+      }
+      return check();
+    }
+    
+    /**
+     * Lees gecachte content rules uit localStorage
+     */
+    function readCachedContentRules() {
+      try {
+        const raw = localStorage.getItem(storageKey('content_rules'));
+        if (!raw) return null;
+        
+        const cached = JSON.parse(raw);
+        if (!cached || !Array.isArray(cached.rules)) return null;
+        
+        return {
+          rules: cached.rules,
+          fresh: Date.now() - (cached.timestamp || 0) < config.content.cacheTTL
+        };
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    /**
+     * Sla content rules op in localStorage
+     */
+    function writeCachedContentRules(rules) {
+      try {
+        localStorage.setItem(storageKey('content_rules'), JSON.stringify({
+          timestamp: Date.now(),
+          rules: rules
+        }));
+      } catch (e) {
+        console.warn('[KP Analytics] Failed to cache content rules:', e);
+      }
+    }
+    
+    /**
+     * Haal content rules op (lokaal, uit cache of van de API)
+     */
+    async function loadContentRules() {
+      if (config.content.source === 'local') {
+        return config.content.rules;
+      }
+      
+      const cached = readCachedContentRules();
+      if (cached && cached.fresh) {
+        return cached.rules;
+      }
+      
+      try {
+        const url = `${config.content.apiUrl}?client_id=${encodeURIComponent(config.clientId)}`;
+        const response = await fetch(url, {
+          method: 'GET',
+          mode: 'cors',
+          credentials: 'omit'
+        });
+        
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        
+        const data = await response.json();
+        if (!data || !Array.isArray(data.rules)) {
+          throw new Error('Response bevat geen rules array');
+        }
+        
+        writeCachedContentRules(data.rules);
+        return data.rules;
+      } catch (err) {
+        console.warn('[KP Analytics] Failed to load content rules:', err.message);
+        
+        // Fallback: verlopen cache, daarna lokale rules
+        if (cached) {
+          return cached.rules;
+        }
+        return config.content.rules;
+      }
+    }
+    
+    /**
+     * Pas content rules toe via injectContent()
+     */
+    function applyContentRules(rules) {
+      let applied = 0;
+      const matching = [];
+      
+      for (const rule of rules) {
+        if (!rule || typeof rule.selector !== 'string' || !rule.selector) {
+          console.warn('[KP Analytics] Invalid content rule (selector is required):', rule);
+          continue;
+        }
+        
+        if (!evaluateContentCondition(rule.condition)) {
+          continue;
+        }
+        
+        matching.push(getInjectId(rule.selector));
+        injectContent(rule.selector, rule.html, rule.css, rule.js, {
+          placement: rule.placement,
+          shadow: rule.shadow === true,
+          hostStyle: rule.hostStyle,
+          source: 'rule'
+        });
+        applied++;
+      }
+      
+      // Rules die (na navigatie) niet meer matchen weer weghalen
+      state.injections.forEach(entry => {
+        if (entry.source === 'rule' && !matching.includes(entry.id)) {
+          removeContent(entry.id);
+        }
+      });
+      
+      return applied;
+    }
+    
+    /**
+     * Content Injection - Rules engine
+     * Haalt rules op en injecteert de content waarvan de condition klopt.
+     * Wordt aangeroepen bij init en bij SPA navigatie.
+     */
+    async function initContentInjection() {
+      if (!config.content.enabled || !isFeatureEnabled()) {
+        return 0;
+      }
+      
+      const rules = await loadContentRules();
+      const applied = applyContentRules(rules);
+      
+      if (applied > 0) {
+        console.log(`[KP Analytics] ✅ Applied ${applied} content rule(s)`);
+      }
+      return applied;
+    }
+    
+    /**
+     * Diagnostics
+     * 
+     * Overzicht van alles wat de widget op deze pagina ziet en doet, voor support.
+     * Aanzetten: `?kp_debug=1` in de URL (blijft actief tijdens de sessie) of
+     * `KunstpakketAnalytics.showDiagnostics()`. Uitzetten: `?kp_debug=0` of `hideDiagnostics()`.
+     */
+    function isDiagnosticsRequested() {
+      try {
+        const flag = new URLSearchParams(window.location.search).get('kp_debug');
+        if (flag === '1') sessionStorage.setItem(storageKey('debug'), 'true');
+        if (flag === '0') sessionStorage.removeItem(storageKey('debug'));
+        return sessionStorage.getItem(storageKey('debug')) === 'true';
+      } catch (e) {
+        return false;
+      }
+    }
+    
+    /**
+     * Verzamel diagnostics data (ook bruikbaar vanuit de console)
+     * Alleen lezen: de extractors draaien opnieuw voor de huidige pagina, maar de bronnen die de
+     * tracking vastlegde (state.extractionSources) en de opgeslagen data blijven ongewijzigd.
+     */
+    function getDiagnostics() {
+      const tracked = { ...state.extractionSources };
+      const extract = (field, extractor) => {
+        const value = extractor();
+        return { value: value, source: state.extractionSources[field] || null, tracked_source: tracked[field] || null };
+      };
+      
+      const extraction = {
+        product_id: extract('product_id', extractProductId),
+        product_title: extract('product_title', extractProductTitle),
+        product_price: extract('product_price', extractProductPrice),
+        order_total: extract('order_total', extractOrderTotal),
+        order_id: extract('order_id', extractOrderId)
+      };
+      const purchaseDetails = extractPurchaseDetails();
+      state.extractionSources = tracked;
+      
+      return {
+        version: VERSION,
+        client_id: config.clientId,
+        feature_enabled: isFeatureEnabled(),
+        flags: Object.keys(config.flags).map(evaluateFlag),
+        started: state.started,
+        consent: state.consent,
+        identity: {
+          visitor_id: state.visitorId,
+          session_id: state.session ? state.session.id : null,
+          cookie_domain: state.cookieDomain || null
+        },
+        page: {
+          url: window.location.href,
+          is_product_page: isProductPage(),
+          is_thank_you_page: isThankYouPage(),
+          classification: classifyPage(),
+          has_utm_params: hasUTMParameters()
+        },
+        extraction: extraction,
+        purchase_details: purchaseDetails,
+        attribution: {
+          model: config.attribution.model,
+          journal: readAttributionJournal(true)
+        },
+        campaign: getCampaignContext(),
+        reported_orders: readReportedOrders(),
+        event_queue: readEventQueue(),
+        injected: Array.from(document.querySelectorAll('[data-kp-injected]'))
+          .map(el => el.getAttribute('data-kp-injected')),
+        rejections: state.rejections.slice(),
+        navigation: {
+          route: state.routeUrl,
+          observing: state.observer !== null,
+          waiting_for: state.waiters.map(waiter => waiter.selector)
+        },
+        event_log: state.eventLog.slice()
       };
     }
-  }
-  
-  // Initialize on page load - ALLEEN ALS FEATURE FLAG ACTIEF IS
-  if (isFeatureEnabled()) {
-    console.log('[KP Analytics] ✅ Widget enabled via feature flag (f=1)');
     
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', init);
-    } else {
-      init();
+    /**
+     * Maak een element voor de eigen UI van de widget (chat panel, diagnostics)
+     * Zonder HTML strings: attributes via setAttribute, strings in children worden tekst nodes.
+     */
+    function createElement(tag, attributes, children) {
+      const el = document.createElement(tag);
+      Object.keys(attributes || {}).forEach(name => el.setAttribute(name, String(attributes[name])));
+      el.append(...(children || []).filter(child => child !== null && child !== undefined));
+      return el;
+    }
+    
+    /**
+     * <style> met de CSP nonce
+     */
+    function createStyle(css) {
+      const style = applyNonce(document.createElement('style'));
+      style.textContent = css;
+      return style;
+    }
+    
+    /**
+     * Escape tekst voor gebruik in HTML
+     */
+    function escapeHtml(value) {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
     }
     
-    // Also check periodically (for dynamic content)
-    setInterval(() => {
-      if (isProductPage() && !window.productViewTracked) {
+    /**
+     * Rijen voor de event log tabel in het diagnostics panel
+     */
+    function eventLogRows(row) {
+      const rows = state.eventLog.slice().reverse().map(entry => {
+        const time = new Date(entry.time).toLocaleTimeString();
+        return createElement('tr', { class: `kp-diag-${entry.status}` }, [
+          createElement('th', {}, [time]),
+          createElement('td', {}, [`${entry.status} · ${entry.event}${entry.detail ? ' · ' + entry.detail : ''}`])
+        ]);
+      });
+      return rows.length > 0 ? rows : [row('—', 'Nog geen events')];
+    }
+    
+    /**
+     * Werk alleen de event log in het open panel bij (bij elk delivery event)
+     * De rest van het panel ververst pas bij openen, Vernieuwen of Replay.
+     */
+    function renderEventLog() {
+      const table = state.diagnosticsPanel && state.diagnosticsPanel.querySelector('.kp-diag-log');
+      if (!table) return;
+      
+      const row = (label, value) => createElement('tr', {}, [createElement('th', {}, [label]), createElement('td', {}, [String(value)])]);
+      table.replaceChildren(...eventLogRows(row));
+    }
+    
+    /**
+     * Render het diagnostics panel (opnieuw) met actuele data
+     */
+    function renderDiagnostics() {
+      const panel = state.diagnosticsPanel;
+      if (!panel) return;
+      
+      const data = getDiagnostics();
+      const row = (label, value) => createElement('tr', {}, [createElement('th', {}, [label]), createElement('td', {}, [String(value)])]);
+      const section = (summary, value) => createElement('details', {}, [
+        createElement('summary', {}, [summary]),
+        createElement('pre', {}, [JSON.stringify(value, null, 2)])
+      ]);
+      const classification = data.page.classification;
+      const pageType = `${data.page.is_thank_you_page ? 'thank you' : data.page.is_product_page ? 'product' : 'overig'}` +
+        (classification.candidate ? ` (${classification.candidate} ${classification.confidence}: ${classification.matched.map(rule => rule.id).join(', ')})` : '');
+      
+      const extractionRows = Object.keys(data.extraction).map(field => {
+        const result = data.extraction[field];
+        const value = result.value && result.value.amount !== undefined
+          ? `${result.value.amount} ${result.value.currency || ''}`.trim()
+          : result.value;
+        const tracked = result.tracked_source && result.tracked_source !== result.source ? ` (getrackt: ${result.tracked_source})` : '';
+        return row(field, value === null ? '— (niet gevonden)' : `${value}  ← ${result.source}${tracked}`);
+      });
+      
+      panel.querySelector('.kp-diag-body').replaceChildren(
+        createElement('table', {}, [
+          row('Versie', `${data.version} (${data.client_id})`),
+          row('Feature flag', data.feature_enabled ? 'aan' : 'uit'),
+          row('Consent', data.consent),
+          row('Visitor / sessie', `${data.identity.visitor_id || '—'} / ${data.identity.session_id || '—'}`),
+          row('Pagina type', pageType),
+          row('UTM source match', data.page.has_utm_params ? 'ja' : 'nee')
+        ]),
+        createElement('h4', {}, ['Extractors']),
+        createElement('table', {}, extractionRows),
+        section('Order details', data.purchase_details),
+        section(`Attribution journal (${data.attribution.journal.length}, ${data.attribution.model})`, data.attribution.journal),
+        section('Campagne (first / last touch)', data.campaign),
+        section('Gerapporteerde orders', data.reported_orders),
+        section(`Event queue (${data.event_queue.length})`, data.event_queue),
+        section(`Geïnjecteerde content (${data.injected.length})`, data.injected),
+        section(`Geweigerde content (${data.rejections.length})`, data.rejections),
+        section('Navigatie', data.navigation),
+        section(`Flags (${data.flags.length})`, data.flags),
+        createElement('h4', {}, ['Event log']),
+        createElement('table', { class: 'kp-diag-log' }, eventLogRows(row))
+      );
+    }
+    
+    /**
+     * Replay: queue direct opnieuw versturen en tracking op deze pagina opnieuw uitvoeren
+     */
+    function replayTracking() {
+      writeEventQueue(readEventQueue().map(entry => ({ ...entry, next_attempt: 0 })));
+      flushEventQueue();
+      
+      state.productViewTracked = false;
+      state.purchaseTracked = false;
+      if (isProductPage()) trackProductView();
+      if (isThankYouPage()) trackPurchase();
+      renderDiagnostics();
+    }
+    
+    /**
+     * Toon het diagnostics panel
+     */
+    function showDiagnostics() {
+      if (state.diagnosticsPanel) {
+        renderDiagnostics();
+        return;
+      }
+      
+      const panel = document.createElement('div');
+      panel.id = `${cssPrefix}diagnostics`;
+      const button = (action, label) => createElement('button', { type: 'button', 'data-action': action }, [label]);
+      panel.append(
+        createStyle(`
+          #${panel.id} { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; width: 380px; max-height: 70vh;
+            overflow: auto; background: #111; color: #eee; font: 12px/1.4 ui-monospace, Menlo, Consolas, monospace;
+            border-radius: 8px; box-shadow: 0 4px 20px rgba(0,0,0,.4); padding: 10px; text-align: left; }
+          #${panel.id} h4 { margin: 10px 0 4px; font-size: 12px; color: #9cf; }
+          #${panel.id} table { width: 100%; border-collapse: collapse; }
+          #${panel.id} th { text-align: left; font-weight: normal; color: #999; padding: 2px 8px 2px 0; vertical-align: top; white-space: nowrap; }
+          #${panel.id} td { padding: 2px 0; word-break: break-all; }
+          #${panel.id} pre { margin: 4px 0; white-space: pre-wrap; word-break: break-all; color: #ccc; }
+          #${panel.id} summary { cursor: pointer; margin-top: 6px; color: #9cf; }
+          #${panel.id} button { margin: 0 4px 6px 0; background: #333; color: #eee; border: 1px solid #555; border-radius: 4px; padding: 3px 8px; cursor: pointer; font: inherit; }
+          #${panel.id} .kp-diag-failed td, #${panel.id} .kp-diag-dropped td, #${panel.id} .kp-diag-discarded td { color: #f77; }
+          #${panel.id} .kp-diag-sent td, #${panel.id} .kp-diag-beacon td { color: #7f7; }
+          #${panel.id} .kp-diag-forwarded td { color: #7cf; }
+        `),
+        createElement('div', {}, [
+          button('refresh', 'Vernieuwen'),
+          button('replay', 'Replay'),
+          button('clear', 'Wis opgeslagen data'),
+          button('close', 'Sluiten')
+        ]),
+        createElement('div', { class: 'kp-diag-body' })
+      );
+      
+      panel.addEventListener('click', (e) => {
+        const action = e.target.getAttribute && e.target.getAttribute('data-action');
+        if (action === 'refresh') renderDiagnostics();
+        if (action === 'replay') replayTracking();
+        if (action === 'clear') {
+          wipeStoredData();
+          renderDiagnostics();
+        }
+        if (action === 'close') hideDiagnostics();
+      });
+      
+      document.body.appendChild(panel);
+      state.diagnosticsPanel = panel;
+      renderDiagnostics();
+    }
+    
+    /**
+     * Verberg het diagnostics panel
+     */
+    function hideDiagnostics() {
+      if (state.diagnosticsPanel) {
+        state.diagnosticsPanel.remove();
+        state.diagnosticsPanel = null;
+      }
+      try {
+        sessionStorage.removeItem(storageKey('debug'));
+      } catch (e) {
+        // Ignore
+      }
+    }
+    
+    /**
+     * Events voor andere scripts, bijv. on('routechange', fn)
+     * Geeft een functie terug die de listener weer verwijdert.
+     */
+    function on(name, listener) {
+      (state.listeners[name] = state.listeners[name] || []).push(listener);
+      return () => off(name, listener);
+    }
+    
+    function off(name, listener) {
+      state.listeners[name] = (state.listeners[name] || []).filter(l => l !== listener);
+    }
+    
+    function emit(name, detail) {
+      (state.listeners[name] || []).slice().forEach(listener => {
+        try {
+          listener(detail);
+        } catch (err) {
+          console.warn(`[KP Analytics] ${name} listener error:`, err.message);
+        }
+      });
+    }
+    
+    /**
+     * addEventListener die bij destroy() weer wordt opgeruimd
+     */
+    function listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      state.teardown.push(() => target.removeEventListener(type, handler, options));
+    }
+    
+    /**
+     * Roep after(args, result, thisArg) aan na elke call van target[name] (bijv. history.pushState)
+     * destroy() zet het origineel terug; heeft iemand daarna nog eens gewrapt,
+     * dan blijft onze wrapper staan maar doet hij niets meer.
+     */
+    function wrapMethod(target, name, after) {
+      const original = target[name];
+      let active = true;
+      const wrapper = function(...args) {
+        const result = original.apply(this, args);
+        if (active) after(args, result, this);
+        return result;
+      };
+      target[name] = wrapper;
+      state.teardown.push(() => {
+        active = false;
+        if (target[name] === wrapper) target[name] = original;
+      });
+    }
+    
+    /**
+     * Route van een URL: zonder hash, behalve bij hash routing (#/pad of #!/pad)
+     * Zo telt een anchor als #reviews niet als navigatie.
+     */
+    function getRouteKey(href) {
+      const url = new URL(href);
+      const hash = /^#!?\//.test(url.hash) ? url.hash : '';
+      return url.origin + url.pathname + url.search + hash;
+    }
+    
+    /**
+     * Wacht tot een selector in de DOM staat (MutationObserver, geen polling)
+     * 
+     * @returns {Promise<Element|null>} null na timeout (default config.navigation.waitTimeout) of destroy()
+     */
+    function waitForElement(selector, timeout) {
+      let element;
+      try {
+        element = document.querySelector(selector);
+      } catch (err) {
+        console.warn('[KP Analytics] Invalid selector:', selector);
+        return Promise.resolve(null);
+      }
+      if (element || !state.started) {
+        return Promise.resolve(element);
+      }
+      
+      return new Promise(resolve => {
+        const waiter = { selector: selector, resolve: resolve, timer: null };
+        waiter.timer = setTimeout(() => finishWaiter(waiter, null), timeout === undefined ? config.navigation.waitTimeout : timeout);
+        state.waiters.push(waiter);
+        updateObserver();
+      });
+    }
+    
+    function finishWaiter(waiter, element) {
+      clearTimeout(waiter.timer);
+      state.waiters = state.waiters.filter(w => w !== waiter);
+      waiter.resolve(element);
+    }
+    
+    /**
+     * Observer alleen laten draaien zolang iemand wacht of de pagina nog aan het settlen is
+     */
+    function updateObserver() {
+      const needed = state.started && (state.waiters.length > 0 || Date.now() < state.settleUntil);
+      
+      if (needed && !state.observer && typeof MutationObserver !== 'undefined') {
+        state.observer = new MutationObserver(handleMutations);
+        state.observer.observe(document.documentElement, { childList: true, subtree: true });
+      } else if (!needed && state.observer) {
+        state.observer.disconnect();
+        state.observer = null;
+      }
+    }
+    
+    function handleMutations() {
+      state.waiters.slice().forEach(waiter => {
+        const element = document.querySelector(waiter.selector);
+        if (element) finishWaiter(waiter, element);
+      });
+      
+      if (Date.now() < state.settleUntil) {
+        scheduleEvaluation();
+      }
+      updateObserver();
+    }
+    
+    /**
+     * Kijk settleTimeout ms mee met DOM wijzigingen (late thank you markers, order totals, titels)
+     */
+    function settlePage() {
+      state.settleUntil = Date.now() + config.navigation.settleTimeout;
+      clearTimeout(state.settleTimer);
+      state.settleTimer = setTimeout(updateObserver, config.navigation.settleTimeout + 1);
+      updateObserver();
+    }
+    
+    /**
+     * Evaluatie max. 1x per 500ms, ook als de DOM continu verandert
+     */
+    function scheduleEvaluation() {
+      if (state.evaluateTimer) return;
+      state.evaluateTimer = setTimeout(() => {
+        state.evaluateTimer = null;
+        evaluatePage();
+      }, 500);
+    }
+    
+    /**
+     * Track wat er op deze pagina te tracken valt (flags voorkomen dubbele events)
+     * Direct na een navigatie ook de banner en content rules (1x per route).
+     */
+    function evaluatePage() {
+      if (!state.started) return;
+      
+      const page = classifyPage(true);
+      if (page.type === 'product' && !state.productViewTracked) {
         trackProductView();
       }
       
-      if (isThankYouPage() && !window.purchaseTracked) {
+      if (page.type === 'thank_you' && !state.purchaseTracked) {
         trackPurchase();
+      } else if (page.candidate === 'thank_you' && page.type !== 'thank_you' && !state.purchaseBlockedLogged) {
+        state.purchaseBlockedLogged = true;
+        console.log(`[KP Analytics] ⏸️ Possible thank you page (confidence ${page.confidence} < ${getPageThreshold('thank_you')}) - purchase not tracked:`,
+          page.matched.map(rule => rule.id).join(', '));
+      }
+      
+      if (config.funnel.enabled) {
+        trackFunnelPage();
+      }
+      
+      if (state.injectionPending) {
+        state.injectionPending = false;
+        injectAIBanner();
+        initContentInjection();
+      }
+    }
+    
+    /**
+     * Verwerk een (mogelijke) URL wijziging; alleen een echte route change telt
+     */
+    function handleLocationChange(trigger) {
+      const route = getRouteKey(window.location.href);
+      if (route === state.route) return;
+      
+      const previousUrl = state.routeUrl;
+      state.route = route;
+      state.routeUrl = window.location.href;
+      
+      // Engagement van de vorige product pagina afsluiten
+      finishEngagement('navigation');
+      
+      // SPA links met nieuwe utm parameters (bijv. vanuit de chat)
+      captureCampaign(false);
+      
+      // Reset tracking flags on navigation
+      state.productViewTracked = false;
+      state.purchaseTracked = false;
+      state.funnelPageTracked = false;
+      state.purchaseBlockedLogged = false;
+      state.pageClassification = null;
+      state.injectionPending = true;
+      pruneImpressionTargets(false);
+      
+      emit('routechange', { url: window.location.href, previous_url: previousUrl, trigger: trigger });
+      
+      // Eerste evaluatie na 500ms, zodat de SPA de nieuwe pagina (titel, DOM) kan renderen
+      scheduleEvaluation();
+      settlePage();
+    }
+    
+    /**
+     * Luister naar SPA navigatie (history API, back/forward, hash routing, Navigation API)
+     */
+    function initNavigation() {
+      state.route = getRouteKey(window.location.href);
+      state.routeUrl = window.location.href;
+      
+      ['pushState', 'replaceState'].forEach(method => {
+        if (window.history && typeof window.history[method] === 'function') {
+          wrapMethod(window.history, method, () => handleLocationChange(method));
+        }
+      });
+      listen(window, 'popstate', () => handleLocationChange('popstate'));
+      listen(window, 'hashchange', () => handleLocationChange('hashchange'));
+      
+      if (window.navigation && typeof window.navigation.addEventListener === 'function') {
+        listen(window.navigation, 'currententrychange', () => handleLocationChange('navigation'));
+      }
+    }
+    
+    /**
+     * Initialize tracking
+     */
+    function init() {
+      console.log(`[KP Analytics] v${VERSION} loaded`);
+      
+      // Event queue (retries van vorige pageviews + beacon flush)
+      initEventDelivery();
+      
+      // SPA navigatie
+      initNavigation();
+      
+      // Engagement op AI-referred product pagina's
+      initEngagement();
+      
+      // Add-to-cart, cart en checkout (funnel)
+      initFunnel();
+      
+      // utm parameters, click IDs en referrer van deze binnenkomst
+      captureCampaign(true);
+      
+      // Track product view / purchase, inject AI banner in config.bannerSelector en content rules
+      state.injectionPending = true;
+      evaluatePage();
+      
+      // Content die later binnenkomt (dynamic content)
+      settlePage();
+    }
+    
+    /**
+     * Start tracker - ALLEEN ALS FEATURE FLAG ACTIEF IS
+     */
+    function start() {
+      if (state.started) return;
+      
+      // Diagnostics werkt ook als de widget (nog) uit staat
+      if (isDiagnosticsRequested()) {
+        if (document.readyState === 'loading') {
+          document.addEventListener('DOMContentLoaded', showDiagnostics);
+        } else {
+          showDiagnostics();
+        }
+      }
+      
+      if (!isFeatureEnabled()) {
+        console.log('[KP Analytics] ⏸️ Widget disabled - add ?f=1 to URL to enable');
+        return;
+      }
+      state.started = true;
+      console.log('[KP Analytics] ✅ Widget enabled via feature flag (f=1 / rollout)');
+      
+      // Consent eerst, zodat events vanaf het begin correct worden vastgehouden
+      initConsent();
+      
+      // Rollout toewijzing van de widget zelf
+      useFlag('widget');
+      
+      // Commands van de shop die al klaarstaan (window.kpq)
+      initCommandQueue();
+      
+      if (document.readyState === 'loading') {
+        listen(document, 'DOMContentLoaded', init);
+      } else {
+        init();
+      }
+    }
+    
+    /**
+     * Stop de tracker: listeners, wrappers, observer en timers worden opgeruimd
+     * Events in de queue blijven bewaard voor de volgende pageview. start() kan daarna opnieuw.
+     */
+    function destroy() {
+      if (!state.started) return;
+      state.started = false;
+      
+      state.teardown.splice(0).forEach(teardown => {
+        try {
+          teardown();
+        } catch (e) {
+          // Ignore
+        }
+      });
+      state.waiters.slice().forEach(waiter => finishWaiter(waiter, null));
+      closeChat();
+      removeAll();
+      pruneImpressionTargets(true);
+      if (state.impressionObserver) {
+        state.impressionObserver.disconnect();
+        state.impressionObserver = null;
+      }
+      state.settleUntil = 0;
+      updateObserver();
+      
+      clearTimeout(state.settleTimer);
+      clearTimeout(state.evaluateTimer);
+      clearTimeout(state.retryTimer);
+      state.evaluateTimer = null;
+      state.tcfListenerId = null;
+      state.listeners = {};
+      state.productViewTracked = false;
+      state.purchaseTracked = false;
+      state.engagement = null;
+      state.funnelPageTracked = false;
+      
+      if (state.diagnosticsPanel) {
+        state.diagnosticsPanel.remove();
+        state.diagnosticsPanel = null;
       }
-    }, 2000);
-  } else {
-    console.log('[KP Analytics] ⏸️ Widget disabled - add ?f=1 to URL to enable');
+      console.log('[KP Analytics] 🧹 Tracker destroyed');
+    }
+    
+    // Public API
+    const api = {
+      version: VERSION,
+      start: start,
+      destroy: destroy,
+      on: on,       // on('routechange', fn) → unsubscribe functie
+      off: off,
+      waitForElement: waitForElement,
+      isEnabled: (name) => useFlag(name).enabled,  // Flag aan voor deze bezoeker? (stuurt exposure event)
+      getVariant: (name) => useFlag(name).variant,
+      getVariants: getVariants,
+      setConsent: setConsent,  // Expliciete consent: setConsent(true | false)
+      getConsent: () => state.consent,
+      getIdentity: getIdentity,      // { visitor_id, session_id }
+      resetIdentity: resetIdentity,  // Nieuwe IDs (bijv. bij uitloggen)
+      clearIdentity: clearIdentity,  // IDs verwijderen en niet meer opslaan (deze pageview)
+      getDiagnostics: getDiagnostics,
+      showDiagnostics: showDiagnostics,
+      hideDiagnostics: hideDiagnostics,
+      trackProductView: trackProductView,
+      trackPurchase: trackPurchase,
+      track: track,  // Eigen events: track('wishlist_add', { product_id: '123' })
+      classifyPage: () => classifyPage(true),  // { type, confidence, matched, scores }
+      extractProductId: extractProductId,
+      extractProductTitle: extractProductTitle,
+      extractOrderTotal: extractOrderTotal,
+      extractProductPrice: extractProductPrice,
+      parseMoney: parseMoney,
+      openChat: () => openChat(),
+      closeChat: closeChat,
+      injectContent: injectContent,  // Injecteer HTML, CSS, JS in element
+      removeContent: removeContent,  // Verwijder injectie (ID of selector) en herstel het element
+      removeAll: removeAll,
+      registerBehaviour: registerBehaviour,  // registerBehaviour('naam', (root, context) => cleanup)
+      initContentInjection: initContentInjection  // (Her)laad en pas content rules toe
+    };
+    
+    // Config is read-only
+    Object.defineProperty(api, 'config', {
+      value: freezeConfig(config),
+      enumerable: true
+    });
+    
+    return api;
   }
   
-  // Public API
-  window.KunstpakketAnalytics = {
-    version: VERSION,
-    trackProductView: trackProductView,
-    trackPurchase: trackPurchase,
-    extractProductId: extractProductId,
-    extractProductTitle: extractProductTitle,
-    extractOrderTotal: extractOrderTotal,
-    injectContent: injectContent  // Injecteer HTML, CSS, JS in element
-  };
+  // Default tracker (config uit window.KunstpakketAnalyticsConfig en data-* attributes)
+  const tracker = createTracker(resolveEmbedConfig());
+  tracker.start();
+  
+  window.KunstpakketAnalytics = tracker;
+  window.KunstpakketAnalytics.createTracker = createTracker;  // Extra geïsoleerde instances
   
 })();